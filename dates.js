@@ -0,0 +1,276 @@
+import { utcToZonedDateTime } from './timezones.js';
+
+// Natural-language date parsing
+// Resolves phrases like "tomorrow 3pm" against an injected "now" and an IANA timezone, fully offline
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const END_OF_DAY_HOUR = 17;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i;
+const DATE_INPUT_HINT = 'Use ISO 8601 (e.g. 2024-06-01T14:30:00) or a phrase like "tomorrow 3pm", "next Tuesday", "end of week", "in 2 hours" or "Mon 10:00-11:30"';
+
+function findNameByPrefix(names, word) {
+  // Full names or abbreviations of three letters or more ("tue", "tues", "sept")
+  return word.length >= 3 ? names.findIndex(name => name.startsWith(word)) : -1;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function makeDay(year, monthIndex, day, input) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day) {
+    throw new Error(`"${input}" is not a valid date`);
+  }
+  return date;
+}
+
+function parseTimeOfDay(text, input) {
+  if (text === 'noon') return { hours: 12, minutes: 0 };
+  if (text === 'midnight') return { hours: 0, minutes: 0 };
+  
+  let match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/.exec(text);
+  if (match) {
+    const hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (hours < 1 || hours > 12 || minutes > 59) {
+      throw new Error(`"${input}" has an invalid time of day`);
+    }
+    return { hours: (hours % 12) + (match[3] === 'pm' ? 12 : 0), minutes, meridiem: match[3] };
+  }
+  
+  match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (match) {
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+      throw new Error(`"${input}" has an invalid time of day`);
+    }
+    return { hours, minutes };
+  }
+  
+  if (/^\d{1,2}$/.test(text)) {
+    throw new Error(`"${input}" is ambiguous: add am/pm or use a 24-hour time like 15:00`);
+  }
+  return null;
+}
+
+function parseTimeRange(text, input) {
+  const time = parseTimeOfDay(text, input);
+  if (time) {
+    return { start: time };
+  }
+  
+  const match = /^(.+?)\s*(?:-|–|to|until)\s*(.+)$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  
+  const end = parseTimeOfDay(match[2], input);
+  // "10-11:30am" borrows the end's am/pm for the start
+  const startText = /^\d{1,2}(?::\d{2})?$/.test(match[1]) && end?.meridiem ? `${match[1]}${end.meridiem}` : match[1];
+  let start = parseTimeOfDay(startText, input);
+  if (start && end && start.hours * 60 + start.minutes >= end.hours * 60 + end.minutes && startText !== match[1]) {
+    // "11-1pm" means 11am to 1pm
+    start = parseTimeOfDay(`${match[1]}am`, input);
+  }
+  if (!start || !end) {
+    return null;
+  }
+  if (start.hours * 60 + start.minutes >= end.hours * 60 + end.minutes) {
+    throw new Error(`"${input}" ends before it starts`);
+  }
+  return { start, end };
+}
+
+function parseDatePhrase(text, today, input) {
+  // Returns the matched day, the unmatched remainder and a default time, or null when no date phrase leads the text
+  let match = /^(today|tomorrow|yesterday)\b\s*/.exec(text);
+  if (match) {
+    const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+    return { day: addDays(today, offsets[match[1]]), rest: text.slice(match[0].length) };
+  }
+  
+  match = /^(?:end of (day|week|month)|(eod))\b\s*/.exec(text);
+  if (match) {
+    const defaultTime = { hours: END_OF_DAY_HOUR, minutes: 0 };
+    const rest = text.slice(match[0].length);
+    if (match[2] || match[1] === 'day') {
+      return { day: today, rest, defaultTime };
+    }
+    if (match[1] === 'week') {
+      // The coming Friday (the one after, at the weekend)
+      return { day: addDays(today, (5 - today.getUTCDay() + 7) % 7), rest, defaultTime };
+    }
+    return { day: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)), rest, defaultTime };
+  }
+  
+  match = /^next (week|month)\b\s*/.exec(text);
+  if (match) {
+    const day = match[1] === 'week'
+      ? addDays(today, 7 - ((today.getUTCDay() + 6) % 7))
+      : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1));
+    return { day, rest: text.slice(match[0].length) };
+  }
+  
+  match = /^(?:(this|next) )?([a-z]+)\b\s*/.exec(text);
+  const weekday = match ? findNameByPrefix(WEEKDAY_NAMES, match[2]) : -1;
+  if (weekday !== -1) {
+    const rest = text.slice(match[0].length);
+    if (match[1] === 'next') {
+      // The named day in next week (weeks start on Monday)
+      const nextMonday = addDays(today, 7 - ((today.getUTCDay() + 6) % 7));
+      return { day: addDays(nextMonday, (weekday + 6) % 7), rest };
+    }
+    // The coming occurrence, today included
+    return { day: addDays(today, (weekday - today.getUTCDay() + 7) % 7), rest };
+  }
+  
+  match = /^(\d{4})-(\d{2})-(\d{2})\b\s*/.exec(text);
+  if (match) {
+    return { day: makeDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]), input), rest: text.slice(match[0].length) };
+  }
+  
+  match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b\s*/.exec(text);
+  if (match) {
+    throw new Error(`"${input}" is ambiguous between day/month and month/day. Write the month name or use YYYY-MM-DD`);
+  }
+  
+  // "June 5", "5 June", "Jun 5th 2025"
+  match = /^(?:([a-z]+) (\d{1,2})(?:st|nd|rd|th)?|(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+))(?: (\d{4}))?\b\s*/.exec(text);
+  const month = match ? findNameByPrefix(MONTH_NAMES, match[1] || match[4]) : -1;
+  if (month !== -1) {
+    const dayOfMonth = Number(match[2] || match[3]);
+    let day;
+    if (match[5]) {
+      day = makeDay(Number(match[5]), month, dayOfMonth, input);
+    } else {
+      // Without a year, the next time that date comes round
+      day = makeDay(today.getUTCFullYear(), month, dayOfMonth, input);
+      if (day < today) {
+        day = makeDay(today.getUTCFullYear() + 1, month, dayOfMonth, input);
+      }
+    }
+    return { day, rest: text.slice(match[0].length) };
+  }
+  
+  return null;
+}
+
+export function parseNaturalDateTime(input, { now, timeZone, baseDay = null }) {
+  const trimmed = input.trim();
+  if (ISO_DATE_TIME_PATTERN.test(trimmed)) {
+    return { start: trimmed.replace(' ', 'T'), hasDate: true };
+  }
+  
+  const text = trimmed.toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+  const current = utcToZonedDateTime(now, timeZone);
+  const today = new Date(`${current.slice(0, 10)}T00:00:00Z`);
+  const formatTime = (day, { hours, minutes }) =>
+    `${formatDay(day)}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
+  
+  const relative = /^in (\d+) (minute|min|hour|hr|day|week)s?$/.exec(text);
+  if (relative) {
+    const amount = Number(relative[1]);
+    if (['day', 'week'].includes(relative[2])) {
+      return { start: `${formatDay(addDays(today, amount * (relative[2] === 'week' ? 7 : 1)))}T${current.slice(11)}`, hasDate: true };
+    }
+    const unitMs = ['hour', 'hr'].includes(relative[2]) ? 60 * 60 * 1000 : 60 * 1000;
+    return { start: utcToZonedDateTime(new Date(now.getTime() + amount * unitMs), timeZone), hasDate: true };
+  }
+  
+  const date = parseDatePhrase(text, today, input);
+  const rest = (date ? date.rest : text).replace(/^at /, '');
+  const day = date?.day || baseDay || today;
+  
+  if (!rest) {
+    if (!date) {
+      throw new Error(`Could not understand the date "${input}". ${DATE_INPUT_HINT}`);
+    }
+    return date.defaultTime
+      ? { start: formatTime(day, date.defaultTime), hasDate: true }
+      : { start: formatDay(day), hasDate: true };
+  }
+  
+  const times = parseTimeRange(rest, input);
+  if (!times) {
+    throw new Error(`Could not understand the date "${input}". ${DATE_INPUT_HINT}`);
+  }
+  return {
+    start: formatTime(day, times.start),
+    end: times.end && formatTime(day, times.end),
+    hasDate: Boolean(date)
+  };
+}
+
+export function createDateResolver(timeZone, now = new Date()) {
+  // Resolves tool date inputs and records every non-ISO phrase so responses can echo what it became
+  const resolved = [];
+  
+  const parse = (parameter, input, baseDay) => {
+    try {
+      return parseNaturalDateTime(input, { now, timeZone, baseDay });
+    } catch (e) {
+      throw new Error(`${parameter}: ${e.message}`);
+    }
+  };
+  
+  const record = (parameter, input, resolvedTo) => {
+    if (resolvedTo !== input.trim()) {
+      resolved.push({ parameter, input, resolvedTo, timeZone });
+    }
+  };
+  
+  const resolve = (parameter, input) => {
+    if (!input) {
+      return input;
+    }
+    const { start, end } = parse(parameter, input);
+    if (end) {
+      throw new Error(`${parameter} takes a single date/time, not a range ("${input}")`);
+    }
+    record(parameter, input, start);
+    return start;
+  };
+  
+  const resolveRange = (startParameter, startInput, endParameter, endInput) => {
+    if (!startInput) {
+      return [startInput, resolve(endParameter, endInput)];
+    }
+    
+    const range = parse(startParameter, startInput);
+    if (range.end) {
+      // "Mon 10:00-11:30" fills in both ends
+      if (endInput) {
+        throw new Error(`${startParameter} already gives a time range ("${startInput}"), so leave ${endParameter} empty`);
+      }
+      resolved.push({ parameter: `${startParameter}/${endParameter}`, input: startInput, resolvedTo: `${range.start} to ${range.end}`, timeZone });
+      return [range.start, range.end];
+    }
+    record(startParameter, startInput, range.start);
+    
+    if (!endInput) {
+      return [range.start, endInput];
+    }
+    // A bare end time ("11:30am") falls on the start's day
+    const startDay = new Date(`${range.start.slice(0, 10)}T00:00:00Z`);
+    const end = parse(endParameter, endInput, startDay);
+    if (end.end) {
+      throw new Error(`${endParameter} takes a single date/time, not a range ("${endInput}")`);
+    }
+    record(endParameter, endInput, end.start);
+    return [range.start, end.start];
+  };
+  
+  const describe = () => resolved.length === 0
+    ? ''
+    : `\n\nResolved dates:\n${resolved.map(entry => `- ${entry.parameter}: "${entry.input}" → ${entry.resolvedTo} (${entry.timeZone})`).join('\n')}`;
+  
+  return { resolve, resolveRange, resolved, describe };
+}
@@ -0,0 +1,671 @@
+import { toIanaTimezone, getTimezoneOffsetMs, zonedDateTimeToUtc, utcToZonedDateTime } from './timezones.js';
+import { DAYS_OF_WEEK, expandRecurrence } from './recurrence.js';
+import { escapeVCardText, unescapeVCardText, splitUnescaped, foldVCardLine } from './vcard.js';
+
+// iCalendar helpers
+// Pure conversions between Graph events and RFC 5545 text; content lines fold and escape the same way as vCard
+const ICAL_PRODID = '-//mcp-outlook-server//Outlook Calendar Export//EN';
+const ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICAL_WEEK_INDEXES = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+const ICAL_RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+const ICAL_IGNORED_PROPERTIES = ['UID', 'DTSTAMP', 'CREATED', 'LAST-MODIFIED', 'SEQUENCE'];
+const ICAL_PARTSTATS = { accepted: 'ACCEPTED', organizer: 'ACCEPTED', declined: 'DECLINED', tentativelyAccepted: 'TENTATIVE' };
+const ICAL_BUSY_STATUSES = ['free', 'tentative', 'busy', 'oof', 'workingElsewhere'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+export const ICAL_EVENT_SELECT = 'id,iCalUId,subject,body,start,end,location,organizer,attendees,importance,sensitivity,showAs,isAllDay,isCancelled,type,seriesMasterId,originalStart,originalStartTimeZone,categories,isReminderOn,reminderMinutesBeforeStart,createdDateTime,lastModifiedDateTime';
+
+function formatICalDate(isoDate) {
+  return isoDate.slice(0, 10).replace(/-/g, '');
+}
+
+function formatICalDateTime(isoDateTime) {
+  return isoDateTime.slice(0, 19).replace(/[-:]/g, '');
+}
+
+function formatICalUtc(date) {
+  return `${formatICalDateTime(date.toISOString())}Z`;
+}
+
+function formatICalOffset(offsetMs) {
+  const minutes = Math.abs(offsetMs) / MINUTE_MS;
+  return `${offsetMs < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function quoteICalParam(value) {
+  // Parameter values can't contain double quotes, so they are dropped rather than escaped
+  return `"${String(value).replace(/"/g, '')}"`;
+}
+
+function graphDateTimeToUtc({ dateTime, timeZone }) {
+  return zonedDateTimeToUtc(dateTime, toIanaTimezone(timeZone || 'UTC'));
+}
+
+function getEventTimezone(event, fallback) {
+  // Events keep their own zone when it maps to an IANA name; custom zones from other clients have no equivalent
+  try {
+    return event.originalStartTimeZone ? toIanaTimezone(event.originalStartTimeZone) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function getAllDayDate(value, timeZone) {
+  // All-day events are midnight to midnight in their own zone; only convert when Graph shifted them to another zone
+  return value.dateTime.slice(11, 19) === '00:00:00' ? value.dateTime.slice(0, 10) : utcToZonedDateTime(graphDateTimeToUtc(value), timeZone).slice(0, 10);
+}
+
+function findTimezoneTransitions(timeZone, year) {
+  // DST changes are months apart, so step a week at a time and bisect down to the minute when the offset moves
+  const transitions = [];
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  let low = Date.UTC(year, 0, 1);
+  let lowOffset = getTimezoneOffsetMs(new Date(low), timeZone);
+  
+  while (low < yearEnd) {
+    const next = Math.min(low + 7 * DAY_MS, yearEnd);
+    const nextOffset = getTimezoneOffsetMs(new Date(next), timeZone);
+    if (nextOffset !== lowOffset) {
+      let before = low;
+      let after = next;
+      while (after - before > MINUTE_MS) {
+        const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+        if (getTimezoneOffsetMs(new Date(middle), timeZone) === lowOffset) {
+          before = middle;
+        } else {
+          after = middle;
+        }
+      }
+      transitions.push({
+        // Observances start at the local time in force just before the change
+        localStart: new Date(after + lowOffset).toISOString().slice(0, 19),
+        offsetFrom: lowOffset,
+        offsetTo: nextOffset
+      });
+    }
+    low = next;
+    lowOffset = nextOffset;
+  }
+  return transitions;
+}
+
+function describeTransitionRule(localStart) {
+  const date = new Date(`${localStart.slice(0, 10)}T00:00:00Z`);
+  const day = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  return {
+    month: date.getUTCMonth() + 1,
+    weekday: date.getUTCDay(),
+    ordinal: day + 7 > daysInMonth ? -1 : Math.ceil(day / 7)
+  };
+}
+
+function sameTransitionRule(a, b) {
+  return a.month === b.month && a.weekday === b.weekday && a.ordinal === b.ordinal;
+}
+
+export function serializeVTimezone(timeZone, fromYear, toYear) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const observance = ({ localStart, offsetFrom, offsetTo }, rrule) => {
+    const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(`BEGIN:${kind}`, `DTSTART:${formatICalDateTime(localStart)}`);
+    if (rrule) {
+      lines.push(rrule);
+    }
+    lines.push(`TZOFFSETFROM:${formatICalOffset(offsetFrom)}`, `TZOFFSETTO:${formatICalOffset(offsetTo)}`, `END:${kind}`);
+  };
+  
+  const transitions = findTimezoneTransitions(timeZone, fromYear);
+  if (transitions.length === 0) {
+    const offset = getTimezoneOffsetMs(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+    observance({ localStart: '1970-01-01T00:00:00', offsetFrom: offset, offsetTo: offset });
+  } else {
+    // Most zones change on a rule like "last Sunday in March"; zones that don't follow one get each year spelled out
+    const rules = transitions.map(transition => describeTransitionRule(transition.localStart));
+    const followingYear = findTimezoneTransitions(timeZone, fromYear + 1).map(transition => describeTransitionRule(transition.localStart));
+    if (followingYear.length === rules.length && rules.every((rule, i) => sameTransitionRule(rule, followingYear[i]))) {
+      transitions.forEach((transition, i) => {
+        observance(transition, `RRULE:FREQ=YEARLY;BYMONTH=${rules[i].month};BYDAY=${rules[i].ordinal}${ICAL_DAYS[rules[i].weekday]}`);
+      });
+    } else {
+      for (let year = fromYear; year <= toYear; year++) {
+        (year === fromYear ? transitions : findTimezoneTransitions(timeZone, year)).forEach(transition => observance(transition));
+      }
+    }
+  }
+  
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+export function recurrenceToRRule({ pattern, range }, { isAllDay, timeZone }) {
+  const parts = [`FREQ=${pattern.type === 'daily' ? 'DAILY' : pattern.type === 'weekly' ? 'WEEKLY' : pattern.type.endsWith('Monthly') ? 'MONTHLY' : 'YEARLY'}`];
+  if (pattern.interval > 1) {
+    parts.push(`INTERVAL=${pattern.interval}`);
+  }
+  if (pattern.type.endsWith('Yearly')) {
+    parts.push(`BYMONTH=${pattern.month}`);
+  }
+  if (pattern.type.startsWith('absolute')) {
+    // Outlook moves the 29th-31st to the last day of shorter months; a plain BYMONTHDAY would skip those months
+    parts.push(pattern.dayOfMonth > 28
+      ? `BYMONTHDAY=${Array.from({ length: pattern.dayOfMonth - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`
+      : `BYMONTHDAY=${pattern.dayOfMonth}`);
+  }
+  if (pattern.type === 'weekly' || pattern.type.startsWith('relative')) {
+    parts.push(`BYDAY=${pattern.daysOfWeek.map(day => ICAL_DAYS[DAYS_OF_WEEK.indexOf(day)]).join(',')}`);
+  }
+  if (pattern.type.startsWith('relative')) {
+    // "First weekday" style patterns pick one of several days, which is what BYSETPOS does
+    parts.push(`BYSETPOS=${ICAL_WEEK_INDEXES[pattern.index || 'first']}`);
+  }
+  if (pattern.type === 'weekly' && pattern.firstDayOfWeek) {
+    parts.push(`WKST=${ICAL_DAYS[DAYS_OF_WEEK.indexOf(pattern.firstDayOfWeek)]}`);
+  }
+  
+  if (range.type === 'numbered') {
+    parts.push(`COUNT=${range.numberOfOccurrences}`);
+  } else if (range.type === 'endDate') {
+    // UNTIL must be UTC when DTSTART has a TZID, and a date when DTSTART is one
+    parts.push(`UNTIL=${isAllDay ? formatICalDate(range.endDate) : formatICalUtc(zonedDateTimeToUtc(`${range.endDate}T23:59:59`, timeZone))}`);
+  }
+  
+  return `RRULE:${parts.join(';')}`;
+}
+
+function serializeICalEvent(event, { timeZone, uid, exdates, now }) {
+  const lines = ['BEGIN:VEVENT', `UID:${uid || event.iCalUId || event.id}`, `DTSTAMP:${formatICalUtc(now)}`];
+  const text = (name, value) => {
+    if (value) {
+      lines.push(`${name}:${escapeVCardText(value)}`);
+    }
+  };
+  const zoned = value => utcToZonedDateTime(graphDateTimeToUtc(value), timeZone);
+  
+  if (event.isAllDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatICalDate(getAllDayDate(event.start, timeZone))}`, `DTEND;VALUE=DATE:${formatICalDate(getAllDayDate(event.end, timeZone))}`);
+  } else {
+    lines.push(`DTSTART;TZID=${timeZone}:${formatICalDateTime(zoned(event.start))}`, `DTEND;TZID=${timeZone}:${formatICalDateTime(zoned(event.end))}`);
+  }
+  if (event.originalStart) {
+    const originalStart = utcToZonedDateTime(new Date(event.originalStart), timeZone);
+    lines.push(event.isAllDay ? `RECURRENCE-ID;VALUE=DATE:${formatICalDate(originalStart)}` : `RECURRENCE-ID;TZID=${timeZone}:${formatICalDateTime(originalStart)}`);
+  }
+  if (event.recurrence) {
+    lines.push(recurrenceToRRule(event.recurrence, { isAllDay: event.isAllDay, timeZone }));
+  }
+  if (exdates?.length) {
+    // Excluded occurrences are named by their start, at the series' time of day
+    const startTime = zoned(event.start).slice(10, 19);
+    lines.push(event.isAllDay
+      ? `EXDATE;VALUE=DATE:${exdates.map(formatICalDate).join(',')}`
+      : `EXDATE;TZID=${timeZone}:${exdates.map(date => formatICalDateTime(`${date}${startTime}`)).join(',')}`);
+  }
+  
+  text('SUMMARY', event.subject);
+  text('LOCATION', event.location?.displayName);
+  text('DESCRIPTION', event.body?.content?.trim());
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeVCardText).join(',')}`);
+  }
+  
+  if (event.organizer?.emailAddress?.address) {
+    const { name, address } = event.organizer.emailAddress;
+    lines.push(`ORGANIZER${name ? `;CN=${quoteICalParam(name)}` : ''}:mailto:${address}`);
+  }
+  for (const attendee of event.attendees || []) {
+    const { name, address } = attendee.emailAddress;
+    const params = [
+      name && `CN=${quoteICalParam(name)}`,
+      attendee.type === 'resource' ? 'CUTYPE=RESOURCE' : `ROLE=${attendee.type === 'optional' ? 'OPT' : 'REQ'}-PARTICIPANT`,
+      `PARTSTAT=${ICAL_PARTSTATS[attendee.status?.response] || 'NEEDS-ACTION'}`
+    ].filter(Boolean);
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${address}`);
+  }
+  
+  lines.push(`STATUS:${event.isCancelled ? 'CANCELLED' : event.showAs === 'tentative' ? 'TENTATIVE' : 'CONFIRMED'}`);
+  lines.push(`TRANSP:${event.showAs === 'free' ? 'TRANSPARENT' : 'OPAQUE'}`);
+  if (event.showAs) {
+    lines.push(`X-MICROSOFT-CDO-BUSYSTATUS:${event.showAs.toUpperCase()}`);
+  }
+  lines.push(`PRIORITY:${{ high: 1, low: 9 }[event.importance] || 5}`);
+  lines.push(`CLASS:${{ private: 'PRIVATE', confidential: 'CONFIDENTIAL' }[event.sensitivity] || 'PUBLIC'}`);
+  if (event.createdDateTime) {
+    lines.push(`CREATED:${formatICalUtc(new Date(event.createdDateTime))}`);
+  }
+  if (event.lastModifiedDateTime) {
+    lines.push(`LAST-MODIFIED:${formatICalUtc(new Date(event.lastModifiedDateTime))}`);
+  }
+  
+  if (event.isReminderOn) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeVCardText(event.subject || 'Reminder')}`, `TRIGGER:-PT${event.reminderMinutesBeforeStart || 0}M`, 'END:VALARM');
+  }
+  
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+export function findDeletedOccurrences(master, instances, { rangeStart, rangeEnd, timeZone }) {
+  // Outlook drops deleted occurrences from the series without changing its rule, so an RRULE would bring them back.
+  // Returns the dates the rule gives in the range that have no live occurrence or exception, for EXDATE.
+  const zone = getEventTimezone(master, timeZone);
+  const localDate = event => {
+    if (event.originalStart) {
+      return utcToZonedDateTime(new Date(event.originalStart), zone).slice(0, 10);
+    }
+    return event.isAllDay ? getAllDayDate(event.start, zone) : utcToZonedDateTime(graphDateTimeToUtc(event.start), zone).slice(0, 10);
+  };
+  const live = new Set(instances.filter(event => event.seriesMasterId === master.id && !event.isCancelled).map(localDate));
+  
+  const startTime = master.isAllDay ? 'T00:00:00' : utcToZonedDateTime(graphDateTimeToUtc(master.start), zone).slice(10, 19);
+  const duration = graphDateTimeToUtc(master.end) - graphDateTimeToUtc(master.start);
+  return expandRecurrence(master.recurrence, utcToZonedDateTime(rangeEnd, zone).slice(0, 10)).filter(date => {
+    // Like calendarView, an occurrence is in the range when any part of it overlaps
+    const start = zonedDateTimeToUtc(`${date}${startTime}`, zone);
+    return start < rangeEnd && start.getTime() + duration > rangeStart.getTime() && !live.has(date);
+  });
+}
+
+export function serializeICalendar(events, { timeZone, now = new Date() }) {
+  // Each event keeps its own zone when it maps to an IANA name; timeZone covers the rest
+  const entries = events.map(({ event, uid, exdates }) => ({ event, uid, exdates, zone: getEventTimezone(event, timeZone) }));
+  
+  const years = new Map();
+  for (const { event, zone } of entries) {
+    if (event.isAllDay) {
+      continue;
+    }
+    const year = graphDateTimeToUtc(event.start).getUTCFullYear();
+    const endYear = event.recurrence?.range?.endDate ? Number(event.recurrence.range.endDate.slice(0, 4)) : graphDateTimeToUtc(event.end).getUTCFullYear();
+    const [fromYear, toYear] = years.get(zone) || [year, endYear];
+    years.set(zone, [Math.min(fromYear, year), Math.max(toYear, endYear)]);
+  }
+  
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICAL_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  for (const [zone, [fromYear, toYear]] of years) {
+    lines.push(...serializeVTimezone(zone, fromYear, toYear));
+  }
+  for (const { event, uid, exdates, zone } of entries) {
+    lines.push(...serializeICalEvent(event, { timeZone: zone, uid, exdates, now }));
+  }
+  lines.push('END:VCALENDAR');
+  
+  return `${lines.map(foldVCardLine).join('\r\n')}\r\n`;
+}
+
+function splitICalParams(text, delimiter) {
+  // Delimiters inside double-quoted parameter values don't count
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    }
+    if (char === delimiter && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseICalLine(line) {
+  // Unlike vCard types, iCalendar parameters (TZID, CN) are case-sensitive, so values are kept as written
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  
+  const [name, ...paramParts] = splitICalParams(line.slice(0, colon), ';');
+  const params = {};
+  for (const part of paramParts) {
+    const separator = part.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+    params[part.slice(0, separator).toUpperCase()] = splitICalParams(part.slice(separator + 1), ',').map(value => value.replace(/"/g, ''));
+  }
+  
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+export function parseICalendar(text) {
+  // Builds a component tree: { name, properties: [{ name, params, value }], components: [...] }
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+  
+  for (const line of lines) {
+    const property = line.trim() && parseICalLine(line);
+    if (!property) {
+      continue;
+    }
+    const current = stack[stack.length - 1];
+    
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current.properties.push(property);
+    }
+  }
+  
+  return root.components.filter(component => component.name === 'VCALENDAR');
+}
+
+export function getICalProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+function resolveICalTimezone(tzid, calendar) {
+  // TZIDs are IANA or Windows names from most clients; others only name the zone inside their VTIMEZONE
+  const vtimezone = calendar.components.find(component => component.name === 'VTIMEZONE' && getICalProperty(component, 'TZID')?.value === tzid);
+  const candidates = [tzid, vtimezone && getICalProperty(vtimezone, 'X-LIC-LOCATION')?.value, tzid.split('/').slice(-2).join('/')];
+  for (const candidate of candidates.filter(Boolean)) {
+    try {
+      return toIanaTimezone(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+function parseICalDateTime(property, calendar, defaultTimeZone, unmapped) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec(property.value.trim());
+  if (!match) {
+    throw new Error(`Invalid ${property.name} "${property.value}"`);
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (hours === undefined) {
+    return { date, isAllDay: true, timeZone: defaultTimeZone };
+  }
+  
+  const dateTime = `${date}T${hours}:${minutes}:${seconds}`;
+  const tzid = property.params.TZID?.[0];
+  if (utc) {
+    return { dateTime: `${dateTime}Z`, timeZone: defaultTimeZone };
+  }
+  if (tzid) {
+    const timeZone = resolveICalTimezone(tzid, calendar);
+    if (timeZone) {
+      return { dateTime, timeZone };
+    }
+    unmapped.push(`Unknown timezone "${tzid}" on ${property.name}; used ${defaultTimeZone}`);
+  }
+  // Floating times have no zone and mean the same wall-clock time everywhere
+  return { dateTime, timeZone: defaultTimeZone };
+}
+
+function parseICalDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 60 + Number(hours) * 60 + Number(minutes)) * MINUTE_MS + Number(seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function addToIsoDateTime(isoDateTime, ms) {
+  // Works on wall-clock (or UTC) strings without involving a timezone
+  const utc = isoDateTime.endsWith('Z');
+  const shifted = new Date(new Date(utc ? isoDateTime : `${isoDateTime}Z`).getTime() + ms).toISOString().slice(0, 19);
+  return utc ? `${shifted}Z` : shifted;
+}
+
+export function rruleToRecurrence(rrule, timeZone) {
+  // Returns { recurrence } in the shape recurrenceSchema accepts, or { reason } when Outlook has no equivalent
+  const parts = Object.fromEntries(rrule.split(';').filter(Boolean).map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value.toUpperCase()];
+  }));
+  const unsupported = Object.keys(parts).filter(key => !ICAL_RRULE_PARTS.includes(key));
+  if (unsupported.length) {
+    return { reason: `${unsupported.join(', ')} has no Outlook equivalent` };
+  }
+  
+  const list = key => (parts[key] ? parts[key].split(',') : []);
+  const byDay = list('BYDAY').map(day => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day));
+  if (byDay.some(day => !day)) {
+    return { reason: `BYDAY=${parts.BYDAY} is not a valid day list` };
+  }
+  const daysOfWeek = byDay.map(([, , day]) => DAYS_OF_WEEK[ICAL_DAYS.indexOf(day)]);
+  const ordinals = [...new Set(byDay.map(([, ordinal]) => (ordinal ? Number(ordinal) : null)))];
+  const monthDays = list('BYMONTHDAY').map(Number);
+  const months = list('BYMONTH').map(Number);
+  const setPositions = list('BYSETPOS').map(Number);
+  const recurrence = { interval: Number(parts.INTERVAL || 1) };
+  
+  switch (parts.FREQ) {
+    case 'DAILY':
+      if (monthDays.length || months.length || setPositions.length) {
+        return { reason: 'Daily rules limited to certain months or days of the month have no Outlook equivalent' };
+      }
+      if (byDay.length) {
+        // "Every weekday" is a daily rule limited by BYDAY, which Outlook stores as weekly
+        if (recurrence.interval !== 1 || ordinals[0] !== null) {
+          return { reason: `FREQ=DAILY with BYDAY=${parts.BYDAY} and INTERVAL=${recurrence.interval} has no Outlook equivalent` };
+        }
+        recurrence.pattern = 'weekly';
+        recurrence.daysOfWeek = daysOfWeek;
+      } else {
+        recurrence.pattern = 'daily';
+      }
+      break;
+    case 'WEEKLY':
+      if (monthDays.length || months.length || setPositions.length || ordinals.some(ordinal => ordinal !== null)) {
+        return { reason: 'Weekly rules limited to certain months or positions have no Outlook equivalent' };
+      }
+      recurrence.pattern = 'weekly';
+      if (daysOfWeek.length) {
+        recurrence.daysOfWeek = daysOfWeek;
+      }
+      break;
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const yearly = parts.FREQ === 'YEARLY';
+      if (months.length > (yearly ? 1 : 0)) {
+        return { reason: `BYMONTH=${parts.BYMONTH} has no Outlook equivalent for ${parts.FREQ} rules` };
+      }
+      if (yearly && months.length) {
+        recurrence.month = months[0];
+      }
+      
+      if (monthDays.length) {
+        // 28,29,30,31 with BYSETPOS=-1 is how the 31st is written when shorter months use their last day
+        const lastDayOrEarlier = monthDays.length > 1 && setPositions.length === 1 && setPositions[0] === -1
+          && monthDays.every((day, i) => day === 28 + i) && monthDays[monthDays.length - 1] <= 31;
+        if (byDay.length || (!lastDayOrEarlier && (monthDays.length > 1 || monthDays[0] < 1 || setPositions.length))) {
+          return { reason: `BYMONTHDAY=${parts.BYMONTHDAY}${parts.BYSETPOS ? `;BYSETPOS=${parts.BYSETPOS}` : ''} has no Outlook equivalent` };
+        }
+        recurrence.pattern = yearly ? 'absoluteYearly' : 'absoluteMonthly';
+        recurrence.dayOfMonth = monthDays[monthDays.length - 1];
+      } else if (byDay.length) {
+        // The position comes from either "2TU" or BYSETPOS=2, and Outlook keeps one position for all the days
+        const positions = setPositions.length ? setPositions : ordinals;
+        const index = Object.keys(ICAL_WEEK_INDEXES).find(name => ICAL_WEEK_INDEXES[name] === positions[0]);
+        if (positions.length !== 1 || !index || (setPositions.length && ordinals[0] !== null) || ordinals.length > 1) {
+          return { reason: `BYDAY=${parts.BYDAY}${parts.BYSETPOS ? `;BYSETPOS=${parts.BYSETPOS}` : ''} has no Outlook equivalent` };
+        }
+        recurrence.pattern = yearly ? 'relativeYearly' : 'relativeMonthly';
+        recurrence.daysOfWeek = daysOfWeek;
+        recurrence.index = index;
+      } else {
+        recurrence.pattern = yearly ? 'absoluteYearly' : 'absoluteMonthly';
+      }
+      break;
+    }
+    default:
+      return { reason: `FREQ=${parts.FREQ || '(missing)'} has no Outlook equivalent` };
+  }
+  
+  if (parts.COUNT) {
+    recurrence.occurrences = Number(parts.COUNT);
+  } else if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(parts.UNTIL);
+    if (!match) {
+      return { reason: `UNTIL=${parts.UNTIL} is not a valid date` };
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    recurrence.endDate = utc
+      ? utcToZonedDateTime(new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`), timeZone).slice(0, 10)
+      : `${year}-${month}-${day}`;
+  }
+  
+  const notes = [];
+  if (parts.WKST && parts.WKST !== 'SU' && recurrence.pattern === 'weekly' && recurrence.interval > 1) {
+    notes.push(`WKST=${parts.WKST} was not applied; Outlook counts weeks from Sunday`);
+  }
+  return { recurrence, notes };
+}
+
+export function icalEventToDetails(vevent, calendar, defaultTimeZone) {
+  // Maps a VEVENT onto createCalendarEvent's input; anything left behind is listed in unmapped
+  const unmapped = [];
+  const property = name => getICalProperty(vevent, name);
+  const text = name => (property(name) ? unescapeVCardText(property(name).value) : undefined);
+  
+  const dtstart = property('DTSTART');
+  if (!dtstart) {
+    throw new Error('Event has no DTSTART');
+  }
+  const start = parseICalDateTime(dtstart, calendar, defaultTimeZone, unmapped);
+  const details = {
+    subject: text('SUMMARY') || '(No subject)',
+    isAllDay: Boolean(start.isAllDay),
+    timeZone: start.timeZone,
+    start: start.isAllDay ? start.date : start.dateTime,
+    body: text('DESCRIPTION'),
+    bodyType: 'Text',
+    location: text('LOCATION'),
+    importance: 'normal',
+    showAs: 'busy',
+    extraFields: { isReminderOn: false }
+  };
+  
+  const dtend = property('DTEND');
+  const duration = property('DURATION') && parseICalDuration(property('DURATION').value);
+  if (dtend) {
+    const end = parseICalDateTime(dtend, calendar, defaultTimeZone, unmapped);
+    if (details.isAllDay) {
+      details.end = end.date || end.dateTime.slice(0, 10);
+    } else {
+      // createCalendarEvent takes one zone, so an end in another zone is passed as an exact instant
+      details.end = end.timeZone === details.timeZone || end.dateTime.endsWith('Z')
+        ? end.dateTime
+        : `${zonedDateTimeToUtc(end.dateTime, end.timeZone).toISOString().slice(0, 19)}Z`;
+    }
+  } else if (duration !== null && duration !== undefined) {
+    details.end = details.isAllDay
+      ? addToIsoDateTime(`${details.start}T00:00:00`, duration).slice(0, 10)
+      : addToIsoDateTime(details.start, duration);
+  } else {
+    // Without DTEND or DURATION, a dated event lasts a day and a timed one has no length
+    details.end = details.isAllDay ? addToIsoDateTime(`${details.start}T00:00:00`, DAY_MS).slice(0, 10) : details.start;
+  }
+  
+  const priority = Number(property('PRIORITY')?.value);
+  if (priority >= 1 && priority <= 4) {
+    details.importance = 'high';
+  } else if (priority >= 6) {
+    details.importance = 'low';
+  }
+  
+  const busyStatus = ICAL_BUSY_STATUSES.find(status => status.toUpperCase() === property('X-MICROSOFT-CDO-BUSYSTATUS')?.value.trim().toUpperCase());
+  const status = property('STATUS')?.value.trim().toUpperCase();
+  if (busyStatus) {
+    details.showAs = busyStatus;
+  } else if (property('TRANSP')?.value.trim().toUpperCase() === 'TRANSPARENT') {
+    details.showAs = 'free';
+  } else if (status === 'TENTATIVE') {
+    details.showAs = 'tentative';
+  }
+  details.cancelled = status === 'CANCELLED';
+  
+  const sensitivity = { PRIVATE: 'private', CONFIDENTIAL: 'confidential' }[property('CLASS')?.value.trim().toUpperCase()];
+  if (sensitivity) {
+    details.extraFields.sensitivity = sensitivity;
+  }
+  const categories = vevent.properties.filter(({ name }) => name === 'CATEGORIES')
+    .flatMap(({ value }) => splitUnescaped(value, ',').map(unescapeVCardText))
+    .filter(Boolean);
+  if (categories.length) {
+    details.extraFields.categories = categories;
+  }
+  
+  const attendees = vevent.properties.filter(({ name }) => name === 'ATTENDEE').map(({ params, value }) => ({
+    address: value.replace(/^mailto:/i, '').trim(),
+    name: params.CN?.[0],
+    type: ['RESOURCE', 'ROOM'].includes(params.CUTYPE?.[0]?.toUpperCase())
+      ? 'resource'
+      : ['OPT-PARTICIPANT', 'NON-PARTICIPANT'].includes(params.ROLE?.[0]?.toUpperCase()) ? 'optional' : 'required'
+  }));
+  if (attendees.length) {
+    details.attendees = attendees;
+  }
+  
+  const organizer = property('ORGANIZER');
+  if (organizer) {
+    details.organizer = organizer.value.replace(/^mailto:/i, '').trim();
+  }
+  
+  const rrules = vevent.properties.filter(({ name }) => name === 'RRULE');
+  if (rrules.length) {
+    const { recurrence, notes = [], reason } = rruleToRecurrence(rrules[0].value, details.timeZone);
+    if (recurrence) {
+      details.recurrence = recurrence;
+    } else {
+      unmapped.push(`RRULE:${rrules[0].value} (${reason}); imported as a single event`);
+    }
+    unmapped.push(...notes);
+    if (rrules.length > 1) {
+      unmapped.push(`${rrules.length - 1} extra RRULE(s); Outlook series have one rule`);
+    }
+  }
+  
+  const alarms = vevent.components.filter(component => component.name === 'VALARM');
+  for (const [index, alarm] of alarms.entries()) {
+    const trigger = getICalProperty(alarm, 'TRIGGER');
+    const offset = trigger && !trigger.params.VALUE && trigger.params.RELATED?.[0]?.toUpperCase() !== 'END' ? parseICalDuration(trigger.value) : null;
+    if (index === 0 && offset !== null && offset <= 0) {
+      details.extraFields.isReminderOn = true;
+      details.extraFields.reminderMinutesBeforeStart = Math.round(-offset / MINUTE_MS);
+    } else {
+      unmapped.push(`VALARM with TRIGGER ${trigger?.value || '(none)'}; Outlook keeps one reminder before the start`);
+    }
+  }
+  
+  for (const { name, value } of vevent.properties) {
+    if (['EXDATE', 'RDATE'].includes(name)) {
+      unmapped.push(`${name}:${value}; extra or excluded dates are not applied to the series`);
+    } else if (!['DTSTART', 'DTEND', 'DURATION', 'SUMMARY', 'DESCRIPTION', 'LOCATION', 'PRIORITY', 'STATUS', 'TRANSP', 'CLASS', 'CATEGORIES', 'ATTENDEE', 'ORGANIZER', 'RRULE', 'RECURRENCE-ID', 'X-MICROSOFT-CDO-BUSYSTATUS'].includes(name)
+      && !ICAL_IGNORED_PROPERTIES.includes(name) && !name.startsWith('X-')) {
+      unmapped.push(`Ignored unsupported property ${name}`);
+    }
+  }
+  
+  details.uid = property('UID')?.value.trim();
+  details.recurrenceId = property('RECURRENCE-ID')?.value.trim();
+  details.unmapped = unmapped;
+  return details;
+}
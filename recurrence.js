@@ -0,0 +1,109 @@
+import { toWindowsTimezone } from './timezones.js';
+
+// Recurrence helpers
+export const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+export const WEEK_INDEXES = ['first', 'second', 'third', 'fourth', 'last'];
+
+export function buildRecurrence(recurrence, startDateTime, timezone) {
+  const startDate = startDateTime.split('T')[0];
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const { pattern: type, interval, endDate, occurrences } = recurrence;
+  
+  const pattern = { type, interval };
+  
+  if (type === 'weekly' || type.startsWith('relative')) {
+    pattern.daysOfWeek = recurrence.daysOfWeek || [DAYS_OF_WEEK[start.getUTCDay()]];
+  }
+  if (type.startsWith('relative')) {
+    // e.g. the 20th falls in the third week of the month
+    pattern.index = recurrence.index || WEEK_INDEXES[Math.min(Math.ceil(start.getUTCDate() / 7), 5) - 1];
+  }
+  if (type.startsWith('absolute')) {
+    pattern.dayOfMonth = recurrence.dayOfMonth || start.getUTCDate();
+  }
+  if (type.endsWith('Yearly')) {
+    pattern.month = recurrence.month || start.getUTCMonth() + 1;
+  }
+  
+  const range = { type: 'noEnd', startDate, recurrenceTimeZone: toWindowsTimezone(timezone) };
+  if (endDate) {
+    range.type = 'endDate';
+    range.endDate = endDate.split('T')[0];
+  } else if (occurrences) {
+    range.type = 'numbered';
+    range.numberOfOccurrences = occurrences;
+  }
+  
+  return { pattern, range };
+}
+
+function parseDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function datesInMonth(pattern, year, month) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  if (pattern.type.startsWith('absolute')) {
+    // Like Outlook, a day the month doesn't have falls on its last day
+    return [new Date(Date.UTC(year, month, Math.min(pattern.dayOfMonth, daysInMonth)))];
+  }
+  const matches = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (pattern.daysOfWeek.includes(DAYS_OF_WEEK[date.getUTCDay()])) {
+      matches.push(date);
+    }
+  }
+  const index = pattern.index || 'first';
+  const match = index === 'last' ? matches[matches.length - 1] : matches[WEEK_INDEXES.indexOf(index)];
+  return match ? [match] : [];
+}
+
+function datesInPeriod(pattern, start, period) {
+  // A period is the day, week, month or year the pattern repeats over; returns when it begins and the dates in it
+  if (pattern.type === 'daily') {
+    const date = addDays(start, period);
+    return { periodStart: date, dates: [date] };
+  }
+  if (pattern.type === 'weekly') {
+    const firstDay = DAYS_OF_WEEK.indexOf(pattern.firstDayOfWeek || 'sunday');
+    const weekStart = addDays(start, period * 7 - (start.getUTCDay() - firstDay + 7) % 7);
+    const offsets = pattern.daysOfWeek.map(day => (DAYS_OF_WEEK.indexOf(day) - firstDay + 7) % 7).sort((a, b) => a - b);
+    return { periodStart: weekStart, dates: offsets.map(offset => addDays(weekStart, offset)) };
+  }
+  if (pattern.type.endsWith('Monthly')) {
+    const periodStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period, 1));
+    return { periodStart, dates: datesInMonth(pattern, periodStart.getUTCFullYear(), periodStart.getUTCMonth()) };
+  }
+  const year = start.getUTCFullYear() + period;
+  return { periodStart: new Date(Date.UTC(year, pattern.month - 1, 1)), dates: datesInMonth(pattern, year, pattern.month - 1) };
+}
+
+export function expandRecurrence({ pattern, range }, lastDate) {
+  // Dates (YYYY-MM-DD) the series falls on from its start date through lastDate
+  const start = parseDate(range.startDate);
+  const end = parseDate(range.type === 'endDate' && range.endDate < lastDate ? range.endDate : lastDate);
+  const limit = range.type === 'numbered' ? range.numberOfOccurrences : Infinity;
+  const dates = [];
+  
+  for (let period = 0; dates.length < limit; period += pattern.interval || 1) {
+    const { periodStart, dates: candidates } = datesInPeriod(pattern, start, period);
+    if (periodStart > end) {
+      break;
+    }
+    for (const date of candidates) {
+      if (date > end || dates.length >= limit) {
+        break;
+      }
+      if (date >= start) {
+        dates.push(date.toISOString().slice(0, 10));
+      }
+    }
+  }
+  
+  return dates;
+}
@@ -1,994 +1,4729 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { Client } from '@microsoft/microsoft-graph-client';
-import { ConfidentialClientApplication } from '@azure/msal-node';
+import { ConfidentialClientApplication, PublicClientApplication, CryptoProvider } from '@azure/msal-node';
 import * as dotenv from 'dotenv';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, chmodSync, unlinkSync } from 'fs';
+import { join, resolve, dirname, basename, extname } from 'path';
 import { homedir } from 'os';
+import { createServer } from 'http';
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'crypto';
 import { z } from 'zod';
+import {
+  getSystemTimezone,
+  toIanaTimezone,
+  toWindowsTimezone,
+  zonedDateTimeToUtc,
+  toUtcInstant,
+  utcToZonedDateTime,
+  formatDateTimeForGraph,
+  formatDateForGraph
+} from './timezones.js';
+import { createDateResolver } from './dates.js';
+import {
+  MAX_CONTACT_EMAILS,
+  contactToFields,
+  serializeVCard,
+  parseVCards,
+  mergeContactFields
+} from './vcard.js';
+import { DAYS_OF_WEEK, WEEK_INDEXES, buildRecurrence } from './recurrence.js';
+import { ICAL_EVENT_SELECT, serializeICalendar, findDeletedOccurrences, parseICalendar, getICalProperty, icalEventToDetails } from './ical.js';
 
 dotenv.config();
 
-// Timezone utility functions
-function getSystemTimezone() {
-  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+// Configuration
+const config = {
+  auth: {
+    clientId: process.env.OUTLOOK_CLIENT_ID,
+    clientSecret: process.env.OUTLOOK_CLIENT_SECRET
+  }
+};
+
+const AUTH_SCOPES = ['https://graph.microsoft.com/.default', 'offline_access'];
+const redirectUri = process.env.OUTLOOK_REDIRECT_URI || 'http://localhost:8080/callback';
+// Timezone for naive date/times and returned event times (defaults to the mailbox setting)
+const configuredTimezone = process.env.OUTLOOK_TIMEZONE;
+
+// Token cache location - per user, outside the working directory
+const tokenCachePath = expandHomePath(process.env.OUTLOOK_TOKEN_CACHE_PATH || '~/.mcp-outlook/token-cache.json');
+// Optional passphrase to encrypt the token cache at rest
+const tokenCachePassphrase = process.env.OUTLOOK_TOKEN_CACHE_PASSPHRASE;
+// Older versions kept raw access and refresh tokens in plaintext here; they can't be carried over into the MSAL cache
+const legacyTokenCachePath = resolve('.mcp-outlook-token-cache.json');
+
+function removeLegacyTokenCache() {
+  if (legacyTokenCachePath === tokenCachePath || !existsSync(legacyTokenCachePath)) {
+    return;
+  }
+  try {
+    unlinkSync(legacyTokenCachePath);
+    console.error(`Deleted the old plaintext token cache at ${legacyTokenCachePath}. Sign in again with outlook_auth.`);
+  } catch (e) {
+    console.error(`Warning: an old plaintext token cache is still at ${legacyTokenCachePath} and could not be deleted (${e.message}). Delete it by hand.`);
+  }
+}
+
+removeLegacyTokenCache();
+
+function encryptTokenCache(plaintext) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', scryptSync(tokenCachePassphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  
+  return JSON.stringify({
+    encrypted: true,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+function decryptTokenCache(envelope) {
+  if (!tokenCachePassphrase) {
+    throw new Error('Token cache is encrypted. Set OUTLOOK_TOKEN_CACHE_PASSPHRASE to unlock it.');
+  }
+  
+  const key = scryptSync(tokenCachePassphrase, Buffer.from(envelope.salt, 'base64'), 32);
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
 }
 
-function formatDateTimeForGraph(dateTime, timezone = null) {
-  // If timezone is not provided, use system timezone
-  const tz = timezone || getSystemTimezone();
+function createTokenCacheStore(cachePath) {
+  // Serialized MSAL cache, read from disk once and kept in memory afterwards
+  let serializedTokenCache = null;
   
-  // Ensure the datetime string is properly formatted
-  let dt = dateTime;
-  if (!dt.includes('T')) {
-    dt += 'T00:00:00';
+  function readTokenCache() {
+    if (serializedTokenCache === null) {
+      if (!existsSync(cachePath)) {
+        serializedTokenCache = '';
+      } else {
+        // A cache that can't be read stays unloaded, so nothing overwrites it until the passphrase is fixed or the user logs out
+        try {
+          const contents = readFileSync(cachePath, 'utf8');
+          const parsed = JSON.parse(contents);
+          serializedTokenCache = parsed.encrypted ? decryptTokenCache(parsed) : contents;
+        } catch (e) {
+          throw new Error(`Token cache at ${cachePath} could not be read: ${e.message.replace(/\.$/, '')}. Check OUTLOOK_TOKEN_CACHE_PASSPHRASE, or use outlook_logout to delete the cache and sign in again.`);
+        }
+      }
+    }
+    return serializedTokenCache;
   }
-  if (!dt.includes('Z') && !dt.includes('+') && !dt.includes('-')) {
-    dt += '.000Z';
+  
+  function writeTokenCache(serialized) {
+    // Throws instead of replacing a cache on disk that was never loaded
+    readTokenCache();
+    serializedTokenCache = serialized;
+    try {
+      mkdirSync(dirname(cachePath), { recursive: true, mode: 0o700 });
+      writeFileSync(cachePath, tokenCachePassphrase ? encryptTokenCache(serialized) : serialized, { mode: 0o600 });
+      // mode only applies when the file is created, so tighten existing files too
+      chmodSync(cachePath, 0o600);
+    } catch (e) {
+      console.error('Failed to save token cache:', e);
+    }
   }
   
   return {
-    dateTime: dt.replace('Z', ''),
-    timeZone: tz
+    cachePlugin: {
+      async beforeCacheAccess(cacheContext) {
+        const serialized = readTokenCache();
+        if (serialized) {
+          cacheContext.tokenCache.deserialize(serialized);
+        }
+      },
+      async afterCacheAccess(cacheContext) {
+        if (cacheContext.cacheHasChanged) {
+          writeTokenCache(cacheContext.tokenCache.serialize());
+        }
+      }
+    },
+    isReadable() {
+      try {
+        readTokenCache();
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    clear() {
+      serializedTokenCache = '';
+      if (existsSync(cachePath)) {
+        unlinkSync(cachePath);
+      }
+    }
   };
 }
 
-// Configuration
-const config = {
-  auth: {
-    clientId: process.env.OUTLOOK_CLIENT_ID,
-    clientSecret: process.env.OUTLOOK_CLIENT_SECRET,
-    authority: `https://login.microsoftonline.com/${process.env.OUTLOOK_TENANT_ID || 'common'}`
+// Account profiles
+// Each named profile has its own token cache and optional tenant; "default" keeps the original cache path
+const DEFAULT_ACCOUNT = 'default';
+const accountSettingsPath = join(dirname(tokenCachePath), 'accounts.json');
+
+function loadAccountSettings() {
+  const settings = { current: DEFAULT_ACCOUNT, accounts: { [DEFAULT_ACCOUNT]: {} } };
+  if (existsSync(accountSettingsPath)) {
+    try {
+      const saved = JSON.parse(readFileSync(accountSettingsPath, 'utf8'));
+      Object.assign(settings.accounts, saved.accounts);
+      if (saved.current && settings.accounts[saved.current]) {
+        settings.current = saved.current;
+      }
+    } catch (e) {
+      console.error('Failed to load account settings:', e);
+    }
   }
-};
+  return settings;
+}
 
-// Token cache path - using current working directory
-const tokenCachePath = '.mcp-outlook-token-cache.json';
+function saveAccountSettings() {
+  try {
+    mkdirSync(dirname(accountSettingsPath), { recursive: true, mode: 0o700 });
+    writeFileSync(accountSettingsPath, JSON.stringify(accountSettings, null, 2), { mode: 0o600 });
+  } catch (e) {
+    console.error('Failed to save account settings:', e);
+  }
+}
+
+const accountSettings = loadAccountSettings();
+const accountClients = new Map();
+// New profiles and tenant changes only reach accounts.json once sign-in succeeds
+const pendingAccountProfiles = new Map();
+
+function saveAccountProfile(name) {
+  if (pendingAccountProfiles.has(name)) {
+    accountSettings.accounts[name] = pendingAccountProfiles.get(name);
+    pendingAccountProfiles.delete(name);
+    saveAccountSettings();
+  }
+}
 
-// Initialize MSAL
-const msalClient = new ConfidentialClientApplication(config);
+function discardAccountProfile(name) {
+  // A failed sign-in keeps the saved profile, so drop clients built for the pending one
+  if (pendingAccountProfiles.delete(name)) {
+    accountClients.delete(name);
+  }
+}
+
+function resolveAccountName(account) {
+  const name = account || accountSettings.current;
+  if (!accountSettings.accounts[name]) {
+    throw new Error(`Unknown account "${name}". Use outlook_list_accounts to see the configured accounts.`);
+  }
+  return name;
+}
+
+const accountParam = z.string().optional().describe('Account profile to use (defaults to the current account)');
+
+function getAccountClients(name) {
+  if (!accountClients.has(name)) {
+    const profile = pendingAccountProfiles.get(name) || accountSettings.accounts[name];
+    const authority = `https://login.microsoftonline.com/${profile.tenantId || process.env.OUTLOOK_TENANT_ID || 'common'}`;
+    const cacheStore = createTokenCacheStore(
+      name === DEFAULT_ACCOUNT ? tokenCachePath : join(dirname(tokenCachePath), `token-cache-${name}.json`)
+    );
+    const cache = { cachePlugin: cacheStore.cachePlugin };
+    
+    // Device code login always needs a public client; without a client secret it's also used for everything else
+    const publicMsalClient = new PublicClientApplication({
+      auth: { clientId: config.auth.clientId, authority },
+      cache
+    });
+    const msalClient = config.auth.clientSecret
+      ? new ConfidentialClientApplication({ auth: { ...config.auth, authority }, cache })
+      : publicMsalClient;
+    
+    accountClients.set(name, { msalClient, publicMsalClient, cacheStore });
+  }
+  return accountClients.get(name);
+}
 
 // Token management
-let tokenCache = {};
+async function getSignedInAccount(name) {
+  const [account] = await getAccountClients(name).msalClient.getTokenCache().getAllAccounts();
+  return account || null;
+}
 
-function loadTokenCache() {
-  if (existsSync(tokenCachePath)) {
+async function getAccessToken(accountName) {
+  const name = resolveAccountName(accountName);
+  const { msalClient, publicMsalClient } = getAccountClients(name);
+  
+  const account = await getSignedInAccount(name);
+  if (!account) {
+    throw new Error(`No valid authentication for account "${name}". Please run the authentication flow first.`);
+  }
+  
+  // Accounts signed in with device code can only be refreshed by the public client
+  let lastError;
+  for (const client of new Set([msalClient, publicMsalClient])) {
     try {
-      tokenCache = JSON.parse(readFileSync(tokenCachePath, 'utf8'));
+      const result = await client.acquireTokenSilent({ account, scopes: AUTH_SCOPES });
+      return result.accessToken;
     } catch (e) {
-      console.error('Failed to load token cache:', e);
+      lastError = e;
+    }
+  }
+  
+  console.error('Silent token acquisition failed:', lastError);
+  throw new Error(`Authentication for account "${name}" expired. Please run the authentication flow again.`);
+}
+
+async function clearTokenCache(name) {
+  const { msalClient, publicMsalClient, cacheStore } = getAccountClients(name);
+  // An unreadable cache has no accounts to remove, so deleting the file is all logout can do
+  for (const client of cacheStore.isReadable() ? new Set([msalClient, publicMsalClient]) : []) {
+    const tokenCache = client.getTokenCache();
+    for (const account of await tokenCache.getAllAccounts()) {
+      await tokenCache.removeAccount(account);
     }
   }
+  cacheStore.clear();
+  accountTimezones.delete(name);
+}
+
+// OAuth flows
+// How long the local callback listener waits for the browser redirect
+const CALLBACK_TIMEOUT_MS = 5 * 60 * 1000;
+const cryptoProvider = new CryptoProvider();
+let pendingBrowserAuth = null;
+
+function stopCallbackListener() {
+  if (pendingBrowserAuth) {
+    clearTimeout(pendingBrowserAuth.timer);
+    pendingBrowserAuth.listener.close();
+    pendingBrowserAuth = null;
+  }
 }
 
-function saveTokenCache() {
+async function completeCodeAuth(name, code, codeVerifier) {
   try {
-    writeFileSync(tokenCachePath, JSON.stringify(tokenCache, null, 2));
+    await getAccountClients(name).msalClient.acquireTokenByCode({
+      code,
+      scopes: AUTH_SCOPES,
+      redirectUri,
+      codeVerifier
+    });
   } catch (e) {
-    console.error('Failed to save token cache:', e);
+    discardAccountProfile(name);
+    throw e;
   }
+  saveAccountProfile(name);
 }
 
-async function getAccessToken() {
-  loadTokenCache();
-  
-  // Check if we have a valid token
-  if (tokenCache.accessToken && tokenCache.expiresOn && new Date(tokenCache.expiresOn) > new Date()) {
-    return tokenCache.accessToken;
-  }
+function sendCallbackPage(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html><html><body><h2>${message}</h2></body></html>`);
+}
 
-  // Try to use refresh token if available
-  if (tokenCache.refreshToken) {
+async function startBrowserAuth(name) {
+  stopCallbackListener();
+  
+  const { verifier, challenge } = await cryptoProvider.generatePkceCodes();
+  const state = cryptoProvider.createNewGuid();
+  const callbackUrl = new URL(redirectUri);
+  
+  const listener = createServer(async (req, res) => {
+    const url = new URL(req.url, callbackUrl);
+    if (url.pathname !== callbackUrl.pathname) {
+      res.writeHead(404).end();
+      return;
+    }
+    
+    // Ignore stray or forged redirects but keep waiting for the real one
+    if (url.searchParams.get('state') !== state) {
+      sendCallbackPage(res, 400, 'Authentication failed: invalid state parameter.');
+      return;
+    }
+    
     try {
-      const result = await msalClient.acquireTokenByRefreshToken({
-        refreshToken: tokenCache.refreshToken,
-        scopes: ['https://graph.microsoft.com/.default', 'offline_access']
-      });
-      
-      tokenCache = {
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken || tokenCache.refreshToken,
-        expiresOn: result.expiresOn
-      };
-      saveTokenCache();
-      return result.accessToken;
+      if (url.searchParams.get('error')) {
+        throw new Error(url.searchParams.get('error_description') || url.searchParams.get('error'));
+      }
+      await completeCodeAuth(name, url.searchParams.get('code'), verifier);
+      sendCallbackPage(res, 200, 'Authentication successful! You can close this window.');
     } catch (e) {
-      console.error('Refresh token failed:', e);
+      console.error('OAuth callback failed:', e);
+      sendCallbackPage(res, 500, 'Authentication failed. Please run outlook_auth again.');
+    } finally {
+      stopCallbackListener();
     }
-  }
+  });
+  
+  await new Promise((resolve, reject) => {
+    listener.once('error', reject);
+    listener.listen(Number(callbackUrl.port) || 80, callbackUrl.hostname, resolve);
+  });
+  
+  const timer = setTimeout(stopCallbackListener, CALLBACK_TIMEOUT_MS);
+  timer.unref();
+  pendingBrowserAuth = { name, state, verifier, listener, timer };
+  
+  return getAccountClients(name).msalClient.getAuthCodeUrl({
+    scopes: AUTH_SCOPES,
+    redirectUri,
+    state,
+    codeChallenge: challenge,
+    codeChallengeMethod: 'S256',
+    // Always show the account picker so another mailbox can be added
+    prompt: 'select_account'
+  });
+}
 
-  throw new Error('No valid authentication. Please run the authentication flow first.');
+function startDeviceCodeAuth(name) {
+  // Resolves with the sign-in instructions; the token arrives later once the user finishes
+  return new Promise((resolve, reject) => {
+    getAccountClients(name).publicMsalClient.acquireTokenByDeviceCode({
+      scopes: AUTH_SCOPES,
+      deviceCodeCallback: (response) => resolve(response.message)
+    })
+      .then(() => saveAccountProfile(name))
+      .catch(e => {
+        console.error('Device code authentication failed:', e);
+        discardAccountProfile(name);
+        reject(e);
+      });
+  });
 }
 
-function getGraphClient(accessToken) {
+function getGraphClient(accessToken, timeZone = null) {
   return Client.init({
     authProvider: (done) => {
       done(null, accessToken);
-    }
+    },
+    // Graph returns event and task times in this zone instead of UTC
+    ...(timeZone && { fetchOptions: { headers: { Prefer: `outlook.timezone="${toWindowsTimezone(timeZone)}"` } } })
   });
 }
 
-// Create MCP server
-const server = new McpServer({
-  name: 'mcp-outlook-server',
-  version: '1.0.0'
-});
+// Per-account IANA timezone: OUTLOOK_TIMEZONE, else the mailbox setting, else the system zone
+const accountTimezones = new Map();
+
+async function getUserTimezone(client, account) {
+  const name = resolveAccountName(account);
+  if (!accountTimezones.has(name)) {
+    let timeZone = configuredTimezone && toIanaTimezone(configuredTimezone);
+    if (!timeZone) {
+      try {
+        const settings = await client.api('/me/mailboxSettings').select('timeZone').get();
+        timeZone = toIanaTimezone(settings.timeZone);
+      } catch (e) {
+        console.error('Could not read the mailbox timezone, using the system timezone:', e.message);
+      }
+    }
+    accountTimezones.set(name, timeZone || getSystemTimezone());
+  }
+  return accountTimezones.get(name);
+}
+
+async function resolveTimezone(client, timezone, account) {
+  return timezone ? toIanaTimezone(timezone) : getUserTimezone(client, account);
+}
+
+async function getAuthenticatedClient(account) {
+  const accessToken = await getAccessToken(account);
+  const timeZone = await getUserTimezone(getGraphClient(accessToken), account);
+  return getGraphClient(accessToken, timeZone);
+}
+
+// Pagination helpers
+// Hard upper bound for fetchAll so a single tool call can't walk an entire mailbox
+const MAX_FETCH_ALL_RESULTS = 1000;
+
+function encodeCursor(nextLink) {
+  return nextLink ? Buffer.from(nextLink, 'utf8').toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+  const nextLink = Buffer.from(cursor, 'base64url').toString('utf8');
+  if (!nextLink.startsWith('https://graph.microsoft.com/')) {
+    throw new Error('Invalid pagination cursor. Use the nextCursor value returned by a previous call.');
+  }
+  return nextLink;
+}
+
+async function getPagedResults(client, endpoint, query, { cursor, fetchAll = false, maxResults = MAX_FETCH_ALL_RESULTS, headers = {} } = {}) {
+  // A cursor is Graph's @odata.nextLink, which already carries the original query
+  let page = cursor
+    ? await client.api(decodeCursor(cursor)).headers(headers).get()
+    : await client.api(endpoint).headers(headers).query(encodeODataQuery(query)).get();
+  const items = [...page.value];
+
+  const cap = Math.min(maxResults, MAX_FETCH_ALL_RESULTS);
+  while (fetchAll && page['@odata.nextLink'] && items.length < cap) {
+    page = await client.api(page['@odata.nextLink']).headers(headers).get();
+    items.push(...page.value);
+  }
+
+  // Items past the cap would be lost if we handed out the next cursor, so stop cleanly
+  if (fetchAll && items.length > cap) {
+    return { items: items.slice(0, cap), nextCursor: null, truncated: true };
+  }
+
+  return {
+    items,
+    nextCursor: encodeCursor(page['@odata.nextLink']),
+    truncated: false
+  };
+}
+
+const paginationParams = {
+  cursor: z.string().optional().describe('Continuation cursor (nextCursor) returned by a previous call'),
+  fetchAll: z.boolean().default(false).describe('Follow pagination internally and return all results up to maxResults'),
+  maxResults: z.number().default(MAX_FETCH_ALL_RESULTS).describe(`Maximum number of results when fetchAll is set (hard cap: ${MAX_FETCH_ALL_RESULTS})`)
+};
+
+// OData query helpers
+function quoteODataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function quoteSearchTerm(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function toODataDateTime(value, name, timeZone) {
+  // Naive dates and times are wall-clock time in the user's zone, like every other date input
+  try {
+    return toUtcInstant(value, timeZone).toISOString();
+  } catch (e) {
+    throw new Error(`${name}: ${e.message}`);
+  }
+}
+
+function toKqlDate(value, name, timeZone) {
+  // KQL received: terms take a calendar date, which is the user's local date
+  return utcToZonedDateTime(new Date(toODataDateTime(value, name, timeZone)), timeZone).slice(0, 10);
+}
+
+function encodeODataQuery(query) {
+  // The Graph client appends query values verbatim, so free text must be URL-encoded here
+  const encoded = { ...query };
+  for (const key of ['$filter', '$search']) {
+    if (encoded[key]) {
+      encoded[key] = encodeURIComponent(encoded[key]);
+    }
+  }
+  return encoded;
+}
+
+const mailFilterParams = {
+  from: z.string().optional().describe('Only emails from this sender address'),
+  to: z.string().optional().describe('Only emails sent to this recipient address'),
+  subjectContains: z.string().optional().describe('Only emails whose subject contains this text'),
+  receivedAfter: z.string().optional().describe('Only emails received on or after this date/time, ISO or natural language like "yesterday"'),
+  receivedBefore: z.string().optional().describe('Only emails received before this date/time, ISO or natural language like "monday"'),
+  unreadOnly: z.boolean().optional().describe('Only unread emails'),
+  hasAttachments: z.boolean().optional().describe('Only emails with (true) or without (false) attachments'),
+  importance: z.enum(['low', 'normal', 'high']).optional().describe('Only emails with this importance'),
+  category: z.string().optional().describe('Only emails tagged with this category'),
+  flagStatus: z.enum(['notFlagged', 'flagged', 'complete']).optional().describe('Only emails with this follow-up flag status'),
+  flagDueAfter: z.string().optional().describe('Only emails whose follow-up flag is due on or after this date/time, ISO or natural language like "today"'),
+  flagDueBefore: z.string().optional().describe('Only emails whose follow-up flag is due before this date/time, ISO or natural language like "end of week"')
+};
+
+const MAIL_FILTER_DATES = ['receivedAfter', 'receivedBefore', 'flagDueAfter', 'flagDueBefore'];
+
+function resolveMailFilterDates(filters, dates) {
+  const resolved = { ...filters };
+  for (const name of MAIL_FILTER_DATES) {
+    resolved[name] = dates.resolve(name, filters[name]);
+  }
+  return resolved;
+}
+
+function toFlagDateTimeLiteral(value, name, timeZone) {
+  // Flag dates are stored as dateTimeTimeZone strings, so they compare as quoted text
+  return quoteODataString(toODataDateTime(value, name, timeZone).replace('Z', ''));
+}
+
+function buildMailSearch(search, filters, timeZone) {
+  // Graph rejects $filter and $orderby alongside $search, so filters become KQL terms instead
+  if (filters.unreadOnly !== undefined || filters.flagStatus || filters.flagDueAfter || filters.flagDueBefore) {
+    throw new Error('unreadOnly and flag filters cannot be combined with search. Remove search or use the other filters.');
+  }
+  
+  // KQL phrases are quoted inside the quoted $search value, so they can't contain quotes themselves
+  const phrase = value => `\\"${String(value).replace(/[\\"]/g, '')}\\"`;
+  const terms = [String(search).replace(/[\\"]/g, '\\$&')];
+  
+  if (filters.from) terms.push(`from:${phrase(filters.from)}`);
+  if (filters.to) terms.push(`to:${phrase(filters.to)}`);
+  if (filters.subjectContains) terms.push(`subject:${phrase(filters.subjectContains)}`);
+  if (filters.receivedAfter) terms.push(`received>=${toKqlDate(filters.receivedAfter, 'receivedAfter', timeZone)}`);
+  if (filters.receivedBefore) terms.push(`received<${toKqlDate(filters.receivedBefore, 'receivedBefore', timeZone)}`);
+  if (filters.hasAttachments !== undefined) terms.push(`hasattachments:${filters.hasAttachments}`);
+  if (filters.importance) terms.push(`importance:${filters.importance}`);
+  if (filters.category) terms.push(`category:${phrase(filters.category)}`);
+  
+  return { $search: `"${terms.join(' AND ')}"` };
+}
+
+function buildMailQuery({ search, ...filters }, timeZone) {
+  if (search) {
+    return buildMailSearch(search, filters, timeZone);
+  }
+  
+  const clauses = [];
+  
+  if (filters.from) clauses.push(`from/emailAddress/address eq ${quoteODataString(filters.from)}`);
+  if (filters.to) clauses.push(`toRecipients/any(r:r/emailAddress/address eq ${quoteODataString(filters.to)})`);
+  if (filters.subjectContains) clauses.push(`contains(subject,${quoteODataString(filters.subjectContains)})`);
+  if (filters.unreadOnly) clauses.push('isRead eq false');
+  if (filters.hasAttachments !== undefined) clauses.push(`hasAttachments eq ${filters.hasAttachments}`);
+  if (filters.importance) clauses.push(`importance eq ${quoteODataString(filters.importance)}`);
+  if (filters.category) clauses.push(`categories/any(c:c eq ${quoteODataString(filters.category)})`);
+  if (filters.flagStatus) clauses.push(`flag/flagStatus eq ${quoteODataString(filters.flagStatus)}`);
+  if (filters.flagDueAfter) clauses.push(`flag/dueDateTime/dateTime ge ${toFlagDateTimeLiteral(filters.flagDueAfter, 'flagDueAfter', timeZone)}`);
+  if (filters.flagDueBefore) clauses.push(`flag/dueDateTime/dateTime lt ${toFlagDateTimeLiteral(filters.flagDueBefore, 'flagDueBefore', timeZone)}`);
+  
+  const query = { $orderby: 'receivedDateTime DESC' };
+  
+  if (clauses.length > 0 || filters.receivedAfter || filters.receivedBefore) {
+    // Graph rejects filters as inefficient unless the $orderby property is filtered on first
+    const received = [`receivedDateTime ge ${filters.receivedAfter ? toODataDateTime(filters.receivedAfter, 'receivedAfter', timeZone) : '1900-01-01T00:00:00Z'}`];
+    if (filters.receivedBefore) {
+      received.push(`receivedDateTime lt ${toODataDateTime(filters.receivedBefore, 'receivedBefore', timeZone)}`);
+    }
+    query.$filter = [...received, ...clauses].join(' and ');
+  }
+  
+  return query;
+}
+
+// Attachment helpers
+const TEXT_CONTENT_TYPES = [
+  'application/json',
+  'application/xml',
+  'application/javascript',
+  'application/x-yaml',
+  'application/csv'
+];
+
+function isTextContentType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || type.endsWith('+xml') || type.endsWith('+json') || TEXT_CONTENT_TYPES.includes(type);
+}
+
+function expandHomePath(filePath) {
+  // Only a bare ~ or ~/ means the current user's home; ~other stays a relative path
+  return /^~(?=$|[\\/])/.test(filePath) ? join(homedir(), filePath.slice(1)) : resolve(filePath);
+}
+
+function getAttachmentKind(attachment) {
+  const odataType = attachment['@odata.type'] || '';
+  if (odataType.endsWith('itemAttachment')) return 'item';
+  if (odataType.endsWith('referenceAttachment')) return 'reference';
+  return 'file';
+}
+
+// Outgoing attachment helpers
+// Graph accepts attachments under 3 MB in the request itself; larger files need an upload session
+const INLINE_ATTACHMENT_LIMIT = 3 * 1024 * 1024;
+// Upload session chunks must be a multiple of 320 KiB
+const UPLOAD_CHUNK_SIZE = 10 * 320 * 1024;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const attachmentInputSchema = z.object({
+  path: z.string().optional().describe('Local path of the file to attach'),
+  contentBase64: z.string().optional().describe('Base64-encoded file content (alternative to path)'),
+  name: z.string().optional().describe('File name (defaults to the name of the file at path)'),
+  contentType: z.string().optional().describe('MIME type (guessed from the file extension if omitted)'),
+  contentId: z.string().optional().describe('Content ID for inline images referenced as cid:<contentId> in the HTML body')
+});
+
+function loadOutgoingAttachment(input) {
+  if (!input.path && !input.contentBase64) {
+    throw new Error('Each attachment needs either a path or contentBase64');
+  }
+  
+  const name = input.name || (input.path && basename(input.path));
+  if (!name) {
+    throw new Error('Attachments given as contentBase64 need a name');
+  }
+  
+  return {
+    name,
+    contentType: input.contentType || MIME_TYPES[extname(name).toLowerCase()] || 'application/octet-stream',
+    buffer: input.path ? readFileSync(expandHomePath(input.path)) : Buffer.from(input.contentBase64, 'base64'),
+    contentId: input.contentId,
+    isInline: Boolean(input.contentId)
+  };
+}
+
+function toFileAttachment(attachment) {
+  const fileAttachment = {
+    '@odata.type': '#microsoft.graph.fileAttachment',
+    name: attachment.name,
+    contentType: attachment.contentType,
+    contentBytes: attachment.buffer.toString('base64'),
+    isInline: attachment.isInline
+  };
+  if (attachment.contentId) fileAttachment.contentId = attachment.contentId;
+  return fileAttachment;
+}
+
+function getTotalAttachmentSize(attachments) {
+  return attachments.reduce((total, attachment) => total + attachment.buffer.length, 0);
+}
+
+async function uploadLargeAttachment(client, messageId, attachment) {
+  const size = attachment.buffer.length;
+  const attachmentItem = {
+    attachmentType: 'file',
+    name: attachment.name,
+    size,
+    contentType: attachment.contentType,
+    isInline: attachment.isInline
+  };
+  if (attachment.contentId) attachmentItem.contentId = attachment.contentId;
+  
+  const session = await client.api(`/me/messages/${messageId}/attachments/createUploadSession`)
+    .post({ AttachmentItem: attachmentItem });
+  
+  // The upload URL is pre-authenticated, so chunks go out without the Graph client
+  for (let offset = 0; offset < size; offset += UPLOAD_CHUNK_SIZE) {
+    const chunk = attachment.buffer.subarray(offset, offset + UPLOAD_CHUNK_SIZE);
+    const response = await fetch(session.uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${offset}-${offset + chunk.length - 1}/${size}`
+      },
+      body: chunk
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to upload attachment "${attachment.name}": ${response.status} ${await response.text()}`);
+    }
+  }
+}
+
+async function addAttachmentsToDraft(client, messageId, attachments) {
+  for (const attachment of attachments) {
+    if (attachment.buffer.length < INLINE_ATTACHMENT_LIMIT) {
+      await client.api(`/me/messages/${messageId}/attachments`).post(toFileAttachment(attachment));
+    } else {
+      await uploadLargeAttachment(client, messageId, attachment);
+    }
+  }
+}
+
+async function attachToNewDraft(client, messageId, attachments) {
+  // A half-built draft would be left behind on every retry, so remove it before reporting the failure
+  try {
+    await addAttachmentsToDraft(client, messageId, attachments);
+  } catch (e) {
+    try {
+      await client.api(`/me/messages/${messageId}`).delete();
+    } catch {
+      throw new Error(`${e.message.replace(/\.$/, '')}. The unfinished draft could not be removed; delete it with outlook_delete_email (ID: ${messageId})`);
+    }
+    throw e;
+  }
+}
+
+async function sendDraftWithAttachments(client, messageId, attachments) {
+  await attachToNewDraft(client, messageId, attachments);
+  await client.api(`/me/messages/${messageId}/send`).post({});
+}
+
+async function sendNewMessage(client, message, attachments) {
+  const outgoing = (attachments || []).map(loadOutgoingAttachment);
+  
+  if (getTotalAttachmentSize(outgoing) < INLINE_ATTACHMENT_LIMIT) {
+    if (outgoing.length > 0) {
+      message.attachments = outgoing.map(toFileAttachment);
+    }
+    await client.api('/me/sendMail').post({ message });
+  } else {
+    // Too large for a single request: build a draft, upload the files, then send it
+    const draft = await client.api('/me/messages').post(message);
+    await sendDraftWithAttachments(client, draft.id, outgoing);
+  }
+}
+
+// Message building helpers shared by the send and draft tools
+function toRecipients(addresses) {
+  return addresses.map(email => ({
+    emailAddress: { address: email }
+  }));
+}
+
+function buildMessage({ subject, body, to, cc, bcc, importance }) {
+  const message = {};
+  
+  if (subject !== undefined) message.subject = subject;
+  if (body !== undefined) message.body = { contentType: 'HTML', content: body };
+  if (importance) message.importance = importance;
+  if (to) message.toRecipients = toRecipients(to);
+  if (cc) message.ccRecipients = toRecipients(cc);
+  if (bcc) message.bccRecipients = toRecipients(bcc);
+  
+  return message;
+}
+
+// Mail folder helpers
+// Graph accepts these names anywhere a mail folder ID is expected
+const WELL_KNOWN_FOLDERS = ['inbox', 'drafts', 'sentitems', 'deleteditems', 'junkemail', 'archive', 'outbox', 'msgfolderroot', 'conversationhistory', 'scheduled'];
+const FOLDER_ALIASES = { junk: 'junkemail', sent: 'sentitems', deleted: 'deleteditems', trash: 'deleteditems' };
+const FOLDER_CACHE_TTL_MS = 5 * 60 * 1000;
+const folderIdCaches = new Map();
+
+const folderParamDescription = 'Folder name, path (e.g., "Inbox/Projects/Acme") or ID';
+
+function getFolderIdCache(account) {
+  const name = resolveAccountName(account);
+  let cache = folderIdCaches.get(name);
+  if (!cache || cache.expiresAt < Date.now()) {
+    cache = { expiresAt: Date.now() + FOLDER_CACHE_TTL_MS, paths: new Map() };
+    folderIdCaches.set(name, cache);
+  }
+  return cache.paths;
+}
+
+function clearFolderIdCache(account) {
+  folderIdCaches.delete(resolveAccountName(account));
+}
+
+function getWellKnownFolderName(name) {
+  const normalized = name.toLowerCase().replace(/\s+/g, '');
+  const wellKnown = FOLDER_ALIASES[normalized] || normalized;
+  return WELL_KNOWN_FOLDERS.includes(wellKnown) ? wellKnown : null;
+}
+
+function looksLikeFolderId(reference) {
+  // Exchange IDs are long base64url strings, so paths (with slashes) and names with spaces or punctuation never match
+  return reference.length >= 60 && /^[A-Za-z0-9_-]+=*$/.test(reference);
+}
+
+async function findChildFolderId(client, parentId, displayName) {
+  const endpoint = parentId ? `/me/mailFolders/${parentId}/childFolders` : '/me/mailFolders';
+  const result = await client.api(endpoint)
+    .query(encodeODataQuery({
+      $filter: `displayName eq ${quoteODataString(displayName)}`,
+      $select: 'id,displayName'
+    }))
+    .get();
+  return result.value[0]?.id;
+}
+
+async function resolveMailFolderId(client, reference, account) {
+  const trimmed = reference.trim().replace(/^\/+|\/+$/g, '');
+  if (looksLikeFolderId(trimmed)) {
+    return trimmed;
+  }
+  
+  const cache = getFolderIdCache(account);
+  let folderId = null;
+  let path = '';
+  
+  for (const segment of trimmed.split('/').map(part => part.trim()).filter(Boolean)) {
+    path = path ? `${path}/${segment}` : segment;
+    const key = path.toLowerCase();
+    
+    if (!cache.has(key)) {
+      const id = (!folderId && getWellKnownFolderName(segment)) || await findChildFolderId(client, folderId, segment);
+      if (!id) {
+        throw new Error(`Folder "${path}" not found`);
+      }
+      cache.set(key, id);
+    }
+    folderId = cache.get(key);
+  }
+  
+  if (!folderId) {
+    throw new Error('Folder name is required');
+  }
+  return folderId;
+}
+
+async function getMailFolderTree(client, parentId, parentPath, cache, recursive) {
+  const endpoint = parentId ? `/me/mailFolders/${parentId}/childFolders` : '/me/mailFolders';
+  const { items } = await getPagedResults(client, endpoint, {
+    $top: 100,
+    $select: 'id,displayName,totalItemCount,unreadItemCount,childFolderCount'
+  }, { fetchAll: true });
+  
+  const folders = [];
+  for (const folder of items) {
+    const path = parentPath ? `${parentPath}/${folder.displayName}` : folder.displayName;
+    cache.set(path.toLowerCase(), folder.id);
+    
+    folders.push({
+      id: folder.id,
+      name: folder.displayName,
+      path,
+      totalItems: folder.totalItemCount,
+      unreadItems: folder.unreadItemCount,
+      childFolderCount: folder.childFolderCount,
+      childFolders: recursive && folder.childFolderCount > 0
+        ? await getMailFolderTree(client, folder.id, path, cache, recursive)
+        : undefined
+    });
+  }
+  return folders;
+}
+
+async function getMailFolderPaths(client, folderIds, cache) {
+  // Walks each folder up to the mailbox root, so subfolders read "Inbox/Projects" instead of a bare ID
+  const root = await client.api('/me/mailFolders/msgfolderroot').select('id').get();
+  const folders = new Map();
+  const paths = new Map();
+  
+  for (const id of new Set(folderIds)) {
+    const names = [];
+    const visited = new Set();
+    let current = id;
+    try {
+      // Folders outside the mailbox root (such as recoverable items) stop where their parents run out or repeat
+      for (; current && current !== root.id && !visited.has(current); current = folders.get(current).parentFolderId) {
+        visited.add(current);
+        if (!folders.has(current)) {
+          folders.set(current, await client.api(`/me/mailFolders/${current}`).select('displayName,parentFolderId').get());
+        }
+        names.unshift(folders.get(current).displayName);
+      }
+    } catch (e) {
+      // Hidden or inaccessible folders keep their ID
+      console.error(`Failed to resolve mail folder ${id}:`, e);
+      continue;
+    }
+    const path = names.join('/');
+    if (current === root.id) {
+      cache.set(path.toLowerCase(), id);
+    }
+    paths.set(id, path);
+  }
+  return paths;
+}
+
+// Batch helpers
+// Graph's JSON batching accepts at most 20 requests per call
+const BATCH_SIZE = 20;
+const BATCH_MAX_RETRIES = 3;
+const THROTTLED_STATUSES = [429, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runBatchRequests(client, requests) {
+  const responses = new Map();
+  let pending = requests.map((request, index) => ({ ...request, id: String(index) }));
+  
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    const throttled = [];
+    let retryAfterSeconds = 0;
+    
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const chunk = pending.slice(i, i + BATCH_SIZE);
+      const batch = await client.api('/$batch').post({
+        requests: chunk.map(({ id, method, url, body }) => ({
+          id,
+          method,
+          url,
+          ...(body && { body, headers: { 'Content-Type': 'application/json' } })
+        }))
+      });
+      
+      for (const response of batch.responses) {
+        if (THROTTLED_STATUSES.includes(response.status) && attempt < BATCH_MAX_RETRIES) {
+          throttled.push(chunk.find(request => request.id === response.id));
+          const retryAfter = Number(response.headers?.['Retry-After']) || 2 ** attempt;
+          retryAfterSeconds = Math.max(retryAfterSeconds, retryAfter);
+        } else {
+          responses.set(response.id, response);
+        }
+      }
+    }
+    
+    if (throttled.length > 0) {
+      await sleep(retryAfterSeconds * 1000);
+    }
+    pending = throttled;
+  }
+  
+  return requests.map((_, index) => responses.get(String(index)));
+}
+
+// Bulk mail helpers
+const bulkTargetParams = {
+  emailIds: z.array(z.string()).optional().describe('IDs of the emails to act on (alternative to filters)'),
+  folder: z.string().default('inbox').describe(`Folder to select emails from when using filters. ${folderParamDescription}`),
+  search: z.string().optional().describe('Free-text search query used to select emails'),
+  ...mailFilterParams,
+  maxItems: z.number().default(100).describe(`Maximum number of emails selected by filters (hard cap: ${MAX_FETCH_ALL_RESULTS})`),
+  dryRun: z.boolean().default(false).describe('Only list the emails that would be affected without changing anything')
+};
+
+async function resolveBulkTargets(client, { emailIds, folder, search, maxItems, dryRun, ...filters }, account, dates) {
+  const summarize = email => ({
+    id: email.id,
+    subject: email.subject,
+    from: email.from?.emailAddress?.address,
+    received: email.receivedDateTime
+  });
+  
+  if (emailIds?.length) {
+    if (!dryRun) {
+      return emailIds.map(id => ({ id }));
+    }
+    // Dry runs look the messages up so the caller can see what would be affected
+    const responses = await runBatchRequests(client, emailIds.map(id => ({
+      method: 'GET',
+      url: `/me/messages/${id}?$select=id,subject,from,receivedDateTime`
+    })));
+    return emailIds.map((id, index) => responses[index]?.status === 200
+      ? summarize(responses[index].body)
+      : { id, error: responses[index]?.body?.error?.message || 'Not found' });
+  }
+  
+  const hasFilter = search || Object.values(filters).some(value => value !== undefined);
+  if (!hasFilter) {
+    throw new Error('Provide emailIds or at least one filter to select emails');
+  }
+  
+  const folderId = await resolveMailFolderId(client, folder, account);
+  const tz = await getUserTimezone(client, account);
+  const { items } = await getPagedResults(client, `/me/mailFolders/${folderId}/messages`, {
+    $top: Math.min(maxItems, 100),
+    $select: 'id,subject,from,receivedDateTime',
+    ...buildMailQuery({ search, ...resolveMailFilterDates(filters, dates) }, tz)
+  }, { fetchAll: true, maxResults: maxItems });
+  
+  return items.map(summarize);
+}
+
+async function runBulkOperation(client, targets, dryRun, buildRequest) {
+  if (dryRun) {
+    return { dryRun: true, count: targets.length, emails: targets };
+  }
+  
+  const responses = await runBatchRequests(client, targets.map(target => buildRequest(target.id)));
+  const results = targets.map((target, index) => {
+    const response = responses[index];
+    const succeeded = response && response.status >= 200 && response.status < 300;
+    return {
+      ...target,
+      status: succeeded ? 'success' : 'failed',
+      error: succeeded ? undefined : response?.body?.error?.message || `HTTP ${response?.status}`
+    };
+  });
+  
+  return {
+    succeeded: results.filter(result => result.status === 'success').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results
+  };
+}
+
+// Thread helpers
+// Lines that start the quoted history in replies from Outlook, Gmail and most other clients
+const QUOTE_HEADER_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{5,}$/,
+  /^On .+ wrote:$/i
+];
+
+function isQuoteHeader(lines, index) {
+  const trimmed = lines[index].trim();
+  if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(trimmed))) {
+    return true;
+  }
+  // An Outlook-style "From:" header block is followed by "Sent:" or "Date:"
+  return /^From:\s/i.test(trimmed) && /^(Sent|Date):\s/i.test((lines[index + 1] || '').trim());
+}
+
+function collapseQuotedText(text) {
+  const lines = (text || '').split(/\r?\n/);
+  const kept = [];
+  
+  for (const [index, line] of lines.entries()) {
+    const trimmed = line.trim();
+    if (isQuoteHeader(lines, index)) {
+      kept.push('[quoted history collapsed]');
+      break;
+    }
+    if (!trimmed.startsWith('>')) {
+      kept.push(line);
+    }
+  }
+  
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Category and flag helpers
+// Outlook's 25 category colors; preset0 is red, preset4 green, preset7 blue, preset8 purple
+const CATEGORY_COLORS = ['none', ...Array.from({ length: 25 }, (_, i) => `preset${i}`)];
+
+function formatFlag(flag) {
+  if (!flag || flag.flagStatus === 'notFlagged') {
+    return { status: 'notFlagged' };
+  }
+  return {
+    status: flag.flagStatus,
+    start: flag.startDateTime?.dateTime,
+    due: flag.dueDateTime?.dateTime,
+    completed: flag.completedDateTime?.dateTime
+  };
+}
+
+// Inbox rule helpers
+const RULES_ENDPOINT = '/me/mailFolders/inbox/messageRules';
+
+const ruleConditionsSchema = z.object({
+  fromAddresses: z.array(z.string()).optional().describe('Match emails from any of these sender addresses'),
+  subjectContains: z.array(z.string()).optional().describe('Match emails whose subject contains any of these strings'),
+  bodyContains: z.array(z.string()).optional().describe('Match emails whose body contains any of these strings'),
+  hasAttachments: z.boolean().optional().describe('Match emails with attachments'),
+  importance: z.enum(['low', 'normal', 'high']).optional().describe('Match emails with this importance')
+});
+
+const ruleActionsSchema = z.object({
+  moveToFolder: z.string().optional().describe(`Move matching emails to this folder. ${folderParamDescription}`),
+  markAsRead: z.boolean().optional().describe('Mark matching emails as read'),
+  assignCategories: z.array(z.string()).optional().describe('Categories to assign to matching emails'),
+  forwardTo: z.array(z.string()).optional().describe('Forward matching emails to these addresses'),
+  delete: z.boolean().optional().describe('Move matching emails to Deleted Items'),
+  stopProcessingRules: z.boolean().optional().describe('Stop evaluating later rules after this one matches')
+});
+
+function buildRuleConditions(conditions) {
+  const { fromAddresses, ...rest } = conditions;
+  return {
+    ...rest,
+    ...(fromAddresses && { fromAddresses: toRecipients(fromAddresses) })
+  };
+}
+
+async function buildRuleActions(client, actions, account) {
+  const { moveToFolder, forwardTo, ...rest } = actions;
+  const ruleActions = { ...rest };
+  
+  if (moveToFolder) {
+    let folderId = await resolveMailFolderId(client, moveToFolder, account);
+    // Rules need the real folder ID rather than a well-known name
+    if (getWellKnownFolderName(folderId) === folderId) {
+      folderId = (await client.api(`/me/mailFolders/${folderId}`).select('id').get()).id;
+    }
+    ruleActions.moveToFolder = folderId;
+  }
+  if (forwardTo) {
+    ruleActions.forwardTo = toRecipients(forwardTo);
+  }
+  
+  return ruleActions;
+}
+
+function formatRule(rule) {
+  const addresses = recipients => recipients?.map(r => r.emailAddress.address);
+  return {
+    id: rule.id,
+    name: rule.displayName,
+    sequence: rule.sequence,
+    isEnabled: rule.isEnabled,
+    hasError: rule.hasError,
+    conditions: {
+      ...rule.conditions,
+      fromAddresses: addresses(rule.conditions?.fromAddresses)
+    },
+    actions: {
+      ...rule.actions,
+      forwardTo: addresses(rule.actions?.forwardTo)
+    }
+  };
+}
+
+function matchesRuleConditions(message, conditions) {
+  const containsAny = (text, needles) => needles.some(needle => (text || '').toLowerCase().includes(needle.toLowerCase()));
+  const sender = message.from?.emailAddress?.address?.toLowerCase();
+  
+  // Like server-side rules: every condition must match, and any value within a condition
+  if (conditions.fromAddresses && !conditions.fromAddresses.some(address => address.toLowerCase() === sender)) return false;
+  if (conditions.subjectContains && !containsAny(message.subject, conditions.subjectContains)) return false;
+  if (conditions.bodyContains && !containsAny(message.body?.content, conditions.bodyContains)) return false;
+  if (conditions.hasAttachments && !message.hasAttachments) return false;
+  if (conditions.importance && message.importance !== conditions.importance) return false;
+  return true;
+}
+
+// Recurrence helpers
+const recurrenceSchema = z.object({
+  pattern: z.enum(['daily', 'weekly', 'absoluteMonthly', 'relativeMonthly', 'absoluteYearly', 'relativeYearly'])
+    .describe('daily, weekly, absoluteMonthly (e.g., the 15th), relativeMonthly (e.g., second Tuesday), absoluteYearly or relativeYearly'),
+  interval: z.number().default(1).describe('Repeat every N days/weeks/months/years'),
+  daysOfWeek: z.array(z.enum(DAYS_OF_WEEK)).optional().describe('Days for weekly and relative patterns (defaults to the start date\'s weekday)'),
+  dayOfMonth: z.number().optional().describe('Day of the month for absolute patterns (defaults to the start date\'s day)'),
+  month: z.number().optional().describe('Month (1-12) for yearly patterns (defaults to the start date\'s month)'),
+  index: z.enum(WEEK_INDEXES).optional().describe('Which week of the month for relative patterns (defaults to the start date\'s week)'),
+  endDate: z.string().optional().describe('Last date of the series (YYYY-MM-DD)'),
+  occurrences: z.number().optional().describe('Number of occurrences (alternative to endDate; the series never ends if neither is set)')
+});
+
+// Calendar helpers
+const calendarParam = z.string().optional()
+  .describe('Calendar ID, name, or a delegator\'s email address for their default calendar (defaults to your primary calendar)');
+
+async function resolveCalendar(client, reference) {
+  if (!reference) {
+    return { base: '/me', id: null, name: null };
+  }
+  
+  if (['primary', 'default'].includes(reference.toLowerCase())) {
+    const calendar = await client.api('/me/calendar').select('id,name').get();
+    return { base: '/me', id: calendar.id, name: calendar.name };
+  }
+  
+  // Calendar IDs have the same shape as folder IDs
+  if (looksLikeFolderId(reference)) {
+    try {
+      const calendar = await client.api(`/me/calendars/${reference}`).select('id,name').get();
+      return { base: `/me/calendars/${calendar.id}`, id: calendar.id, name: calendar.name };
+    } catch (e) {
+      // A long name can still have an ID's shape, so fall back to looking it up by name
+      if (![400, 404].includes(e.statusCode)) {
+        throw e;
+      }
+    }
+  }
+  
+  const { items } = await getPagedResults(client, '/me/calendars', {
+    $select: 'id,name,owner',
+    $top: 100
+  }, { fetchAll: true });
+  const matches = items.filter(calendar => calendar.name.toLowerCase() === reference.toLowerCase());
+  
+  if (matches.length > 1) {
+    const owners = matches.map(calendar => `${calendar.id} (owner: ${calendar.owner?.address || 'unknown'})`).join(', ');
+    throw new Error(`More than one calendar is named "${reference}": ${owners}. Pass the calendar ID instead.`);
+  }
+  if (matches.length === 1) {
+    return { base: `/me/calendars/${matches[0].id}`, id: matches[0].id, name: matches[0].name };
+  }
+  
+  // Delegated access to someone else's default calendar
+  if (reference.includes('@')) {
+    return { base: `/users/${reference}`, id: null, name: `${reference} (default calendar)` };
+  }
+  
+  throw new Error(`Calendar "${reference}" not found. Use outlook_list_calendars to see the available calendars.`);
+}
+
+function formatCalendarEvent(event) {
+  return {
+    id: event.id,
+    subject: event.subject,
+    start: {
+      dateTime: event.start.dateTime,
+      timeZone: event.start.timeZone
+    },
+    end: {
+      dateTime: event.end.dateTime,
+      timeZone: event.end.timeZone
+    },
+    location: event.location?.displayName,
+    preview: event.bodyPreview,
+    organizer: event.organizer?.emailAddress?.address,
+    attendees: event.attendees?.map(att => att.emailAddress.address),
+    importance: event.importance,
+    showAs: event.showAs,
+    isAllDay: event.isAllDay,
+    type: event.type,
+    seriesMasterId: event.seriesMasterId,
+    responseStatus: event.responseStatus?.response
+  };
+}
+
+// Conflict detection helpers
+const CONFLICTING_SHOW_AS = ['busy', 'tentative', 'oof'];
+const MINUTE_MS = 60 * 1000;
+
+const conflictParams = {
+  checkConflicts: z.boolean().default(true).describe('Check your calendar for overlapping busy, tentative or out-of-office events'),
+  failOnConflict: z.boolean().default(false).describe('Refuse to save the event if it overlaps another event or falls inside the buffer'),
+  flagBackToBack: z.boolean().default(true).describe('Warn about events that end exactly when this one starts (or start when it ends)'),
+  bufferMinutes: z.number().default(0).describe('Minimum gap in minutes required between this event and others')
+};
+
+async function findConflicts(client, { base = '/me', start, end, timeZone, excludeEventId, bufferMinutes, flagBackToBack }) {
+  // Widen the window so adjacent and nearby events come back from calendarView too
+  const margin = Math.max(bufferMinutes, flagBackToBack ? 1 : 0) * MINUTE_MS;
+  const { items } = await getPagedResults(client, `${base}/calendarView`, {
+    startDateTime: new Date(start.getTime() - margin).toISOString(),
+    endDateTime: new Date(end.getTime() + margin).toISOString(),
+    $top: 50,
+    $select: 'id,subject,start,end,showAs,isCancelled,seriesMasterId'
+  }, { fetchAll: true, headers: { Prefer: 'outlook.timezone="UTC"' } });
+  
+  const conflicts = [];
+  for (const event of items) {
+    // Moving a series master must not collide with its own occurrences
+    const isSameEvent = excludeEventId && (event.id === excludeEventId || event.seriesMasterId === excludeEventId);
+    if (isSameEvent || event.isCancelled || !CONFLICTING_SHOW_AS.includes(event.showAs)) {
+      continue;
+    }
+    
+    const eventStart = new Date(`${event.start.dateTime}Z`);
+    const eventEnd = new Date(`${event.end.dateTime}Z`);
+    const gapMinutes = Math.max(start - eventEnd, eventStart - end) / MINUTE_MS;
+    
+    let kind = null;
+    if (gapMinutes < 0) {
+      kind = 'overlap';
+    } else if (gapMinutes < bufferMinutes) {
+      kind = 'buffer';
+    } else if (gapMinutes === 0 && flagBackToBack) {
+      kind = 'backToBack';
+    }
+    
+    if (kind) {
+      conflicts.push({
+        kind,
+        id: event.id,
+        subject: event.subject,
+        start: utcToZonedDateTime(eventStart, timeZone),
+        end: utcToZonedDateTime(eventEnd, timeZone),
+        timeZone: toWindowsTimezone(timeZone),
+        showAs: event.showAs
+      });
+    }
+  }
+  return conflicts;
+}
+
+function formatConflictWarning(conflicts) {
+  if (conflicts.length === 0) {
+    return '';
+  }
+  return `\n\nWarning: ${conflicts.length} conflicting event(s) found:\n${JSON.stringify(conflicts, null, 2)}`;
+}
+
+function assertNoBlockingConflicts(conflicts, failOnConflict) {
+  const blocking = conflicts.filter(conflict => conflict.kind !== 'backToBack');
+  if (failOnConflict && blocking.length > 0) {
+    throw new Error(`Event not saved because it conflicts with ${blocking.length} event(s):\n${JSON.stringify(blocking, null, 2)}`);
+  }
+}
+
+// Shared by outlook_create_calendar_event and outlook_import_ics; start and end are ISO strings already resolved from natural language
+async function createCalendarEvent(client, { subject, start, end, body, bodyType = 'HTML', location, attendees, importance, showAs, isAllDay, timeZone, recurrence, calendar, extraFields, checkConflicts, failOnConflict, flagBackToBack, bufferMinutes }) {
+  const event = {
+    subject,
+    importance,
+    showAs,
+    isAllDay,
+    ...extraFields
+  };
+  
+  if (isAllDay) {
+    // Graph wants all-day events as midnight-to-midnight dates; the end date is exclusive
+    event.start = formatDateForGraph(start, timeZone);
+    event.end = formatDateForGraph(end || start, timeZone);
+    if (event.end.dateTime <= event.start.dateTime) {
+      // A single-day event given as start == end
+      const nextDay = new Date(`${event.start.dateTime}Z`);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      event.end.dateTime = `${nextDay.toISOString().slice(0, 10)}T00:00:00`;
+    }
+  } else {
+    event.start = formatDateTimeForGraph(start, timeZone);
+    event.end = formatDateTimeForGraph(end, timeZone);
+  }
+  
+  if (body) {
+    event.body = {
+      contentType: bodyType,
+      content: body
+    };
+  }
+  
+  if (location) {
+    event.location = {
+      displayName: location
+    };
+  }
+  
+  if (attendees) {
+    // Plain email addresses are required attendees
+    event.attendees = attendees.map(attendee => (typeof attendee === 'string'
+      ? { emailAddress: { address: attendee }, type: 'required' }
+      : { emailAddress: { address: attendee.address, name: attendee.name }, type: attendee.type || 'required' }));
+  }
+  
+  if (recurrence) {
+    event.recurrence = buildRecurrence(recurrence, event.start.dateTime, timeZone);
+  }
+  
+  const { base, name } = await resolveCalendar(client, calendar);
+  
+  // Free time can't double-book, and all-day events are checked by the user, not by time slots
+  let conflicts = [];
+  if (checkConflicts && !isAllDay && CONFLICTING_SHOW_AS.includes(showAs)) {
+    conflicts = await findConflicts(client, {
+      base,
+      start: zonedDateTimeToUtc(event.start.dateTime, timeZone),
+      end: zonedDateTimeToUtc(event.end.dateTime, timeZone),
+      timeZone,
+      bufferMinutes,
+      flagBackToBack
+    });
+    assertNoBlockingConflicts(conflicts, failOnConflict);
+  }
+  
+  const result = await client.api(`${base}/events`).post(event);
+  
+  return { result, event, calendarName: name, conflicts };
+}
+
+// Task list helpers
+const TASK_LIST_CACHE_TTL_MS = 5 * 60 * 1000;
+const taskListCaches = new Map();
+
+const taskListParam = z.string().optional().describe('Task list ID or name (defaults to your default To Do list)');
+
+async function getTaskLists(client, account) {
+  const name = resolveAccountName(account);
+  let cache = taskListCaches.get(name);
+  if (!cache || cache.expiresAt < Date.now()) {
+    const { items } = await getPagedResults(client, '/me/todo/lists', { $top: 100 }, { fetchAll: true });
+    cache = { expiresAt: Date.now() + TASK_LIST_CACHE_TTL_MS, lists: items };
+    taskListCaches.set(name, cache);
+  }
+  return cache.lists;
+}
+
+function clearTaskListCache(account) {
+  taskListCaches.delete(resolveAccountName(account));
+}
+
+async function resolveTaskListId(client, reference, account) {
+  const lists = await getTaskLists(client, account);
+  
+  if (!reference) {
+    // The built-in Tasks list keeps its wellknownListName even after a rename
+    const defaultList = lists.find(list => list.wellknownListName === 'defaultList') || lists[0];
+    if (!defaultList) {
+      throw new Error('No task lists found. Use outlook_create_task_list to create one.');
+    }
+    return defaultList.id;
+  }
+  
+  const byId = lists.find(list => list.id === reference);
+  if (byId) {
+    return byId.id;
+  }
+  
+  const matches = lists.filter(list => list.displayName.toLowerCase() === reference.toLowerCase());
+  if (matches.length > 1) {
+    throw new Error(`More than one task list is named "${reference}": ${matches.map(list => list.id).join(', ')}. Pass the list ID instead.`);
+  }
+  if (matches.length === 0) {
+    throw new Error(`Task list "${reference}" not found. Use outlook_list_task_lists to see the available lists.`);
+  }
+  return matches[0].id;
+}
+
+function formatChecklistItem(item) {
+  return {
+    id: item.id,
+    displayName: item.displayName,
+    isChecked: item.isChecked
+  };
+}
+
+// Tasks made from an email carry a linkedResource with the message ID as externalId
+const LINKED_EMAIL_APPLICATION = 'Outlook';
+const TASK_BODY_MAX_LENGTH = 1000;
+
+function formatLinkedEmail(linkedResources) {
+  const resource = linkedResources?.find(item => item.applicationName === LINKED_EMAIL_APPLICATION && item.externalId);
+  return resource ? { emailId: resource.externalId, subject: resource.displayName, webLink: resource.webUrl } : undefined;
+}
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    body: task.body?.content,
+    dueDateTime: task.dueDateTime?.dateTime,
+    importance: task.importance,
+    status: task.status,
+    isReminderOn: task.isReminderOn,
+    reminderDateTime: task.reminderDateTime?.dateTime,
+    recurrence: task.recurrence || undefined,
+    checklistItems: task.checklistItems?.map(formatChecklistItem),
+    linkedEmail: formatLinkedEmail(task.linkedResources),
+    completedDateTime: task.completedDateTime?.dateTime,
+    createdDateTime: task.createdDateTime
+  };
+}
+
+// Contact helpers
+const CONTACT_SELECT = 'id,displayName,givenName,middleName,surname,nickName,emailAddresses,businessPhones,homePhones,mobilePhone,'
+  + 'homeAddress,businessAddress,otherAddress,birthday,personalNotes,categories,companyName,department,jobTitle,parentFolderId';
+
+const contactAddressSchema = z.object({
+  street: z.string().optional(),
+  city: z.string().optional(),
+  state: z.string().optional(),
+  postalCode: z.string().optional(),
+  countryOrRegion: z.string().optional()
+});
+
+const contactFieldsSchema = {
+  givenName: z.string().optional().describe('First name'),
+  middleName: z.string().optional().describe('Middle name'),
+  surname: z.string().optional().describe('Last name'),
+  nickName: z.string().optional().describe('Nickname'),
+  emailAddresses: z.array(z.string()).max(MAX_CONTACT_EMAILS).optional().describe(`Email addresses (up to ${MAX_CONTACT_EMAILS}; replaces the existing list)`),
+  businessPhones: z.array(z.string()).optional().describe('Business phone numbers (replaces the existing list)'),
+  homePhones: z.array(z.string()).optional().describe('Home phone numbers (replaces the existing list)'),
+  mobilePhone: z.string().optional().describe('Mobile phone number'),
+  homeAddress: contactAddressSchema.optional().describe('Home address'),
+  businessAddress: contactAddressSchema.optional().describe('Business address'),
+  otherAddress: contactAddressSchema.optional().describe('Other address'),
+  birthday: z.string().optional().describe('Birthday (YYYY-MM-DD)'),
+  personalNotes: z.string().optional().describe('Notes about the contact'),
+  categories: z.array(z.string()).optional().describe('Categories (replaces the existing list)'),
+  companyName: z.string().optional().describe('Company name'),
+  department: z.string().optional().describe('Department'),
+  jobTitle: z.string().optional().describe('Job title')
+};
+
+function buildContactFields(fields, displayName) {
+  const contact = {};
+  
+  for (const key of ['givenName', 'middleName', 'surname', 'nickName', 'businessPhones', 'homePhones', 'mobilePhone',
+    'homeAddress', 'businessAddress', 'otherAddress', 'personalNotes', 'categories', 'companyName', 'department', 'jobTitle']) {
+    if (fields[key] !== undefined) {
+      contact[key] = fields[key];
+    }
+  }
+  
+  if (fields.emailAddresses) {
+    contact.emailAddresses = fields.emailAddresses.map(address => ({ address, name: displayName || address }));
+  }
+  
+  if (fields.birthday) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.birthday)) {
+      throw new Error(`Invalid birthday "${fields.birthday}". Use YYYY-MM-DD`);
+    }
+    // Outlook stores birthdays at midday UTC so the date doesn't shift in any timezone
+    contact.birthday = `${fields.birthday}T11:59:00Z`;
+  }
+  
+  return contact;
+}
+
+function formatContactPhones(contact) {
+  return [
+    ...(contact.businessPhones || []).map(number => ({ type: 'business', number })),
+    ...(contact.homePhones || []).map(number => ({ type: 'home', number })),
+    ...(contact.mobilePhone ? [{ type: 'mobile', number: contact.mobilePhone }] : [])
+  ];
+}
+
+function formatContact(contact) {
+  const hasAddress = address => address && Object.values(address).some(Boolean);
+  
+  return {
+    id: contact.id,
+    displayName: contact.displayName,
+    givenName: contact.givenName,
+    middleName: contact.middleName || undefined,
+    surname: contact.surname,
+    nickName: contact.nickName || undefined,
+    emails: contact.emailAddresses?.map(email => email.address),
+    phones: formatContactPhones(contact),
+    addresses: {
+      home: hasAddress(contact.homeAddress) ? contact.homeAddress : undefined,
+      business: hasAddress(contact.businessAddress) ? contact.businessAddress : undefined,
+      other: hasAddress(contact.otherAddress) ? contact.otherAddress : undefined
+    },
+    birthday: contact.birthday?.split('T')[0],
+    notes: contact.personalNotes || undefined,
+    categories: contact.categories,
+    companyName: contact.companyName,
+    department: contact.department || undefined,
+    jobTitle: contact.jobTitle,
+    folderId: contact.parentFolderId
+  };
+}
+
+async function resolveContactFolderBase(client, reference) {
+  if (!reference) {
+    return '/me';
+  }
+  
+  // Contact folder IDs have the same shape as mail folder IDs
+  if (looksLikeFolderId(reference)) {
+    return `/me/contactFolders/${reference}`;
+  }
+  
+  const { items } = await getPagedResults(client, '/me/contactFolders', {
+    $select: 'id,displayName',
+    $top: 100
+  }, { fetchAll: true });
+  const match = items.find(folder => folder.displayName.toLowerCase() === reference.toLowerCase());
+  if (!match) {
+    throw new Error(`Contact folder "${reference}" not found. Use outlook_list_contact_folders to see the available folders.`);
+  }
+  return `/me/contactFolders/${match.id}`;
+}
+
+// Graph has no API for Outlook's own contact groups, so a group is the set of contacts sharing a category
+async function getContactGroupMembers(client, group) {
+  // Members can live in any contact folder
+  const members = [];
+  let truncated = false;
+  for (const base of await getContactFolderBases(client)) {
+    const result = await getPagedResults(client, `${base}/contacts`, {
+      $filter: `categories/any(c:c eq ${quoteODataString(group)})`,
+      $select: 'id,displayName,emailAddresses,categories',
+      $top: 100
+    }, { fetchAll: true });
+    members.push(...result.items);
+    truncated = truncated || result.truncated;
+  }
+  return { members, truncated };
+}
+
+async function getContactFolderBases(client) {
+  // /me/contacts only covers the default folder, so "all contacts" also walks each contact folder
+  const { items } = await getPagedResults(client, '/me/contactFolders', { $select: 'id', $top: 100 }, { fetchAll: true });
+  return ['/me', ...items.map(folder => `/me/contactFolders/${folder.id}`)];
+}
+
+async function findContactByEmail(client, address, bases = ['/me']) {
+  for (const base of bases) {
+    const { items } = await getPagedResults(client, `${base}/contacts`, {
+      $filter: `emailAddresses/any(a:a/address eq ${quoteODataString(address)})`,
+      $select: 'id,displayName,emailAddresses,categories',
+      $top: 1
+    });
+    if (items[0]) {
+      return items[0];
+    }
+  }
+  return null;
+}
+
+async function resolveGroupMember(client, member, createMissing) {
+  // Members are contact IDs or email addresses; unknown addresses become new contacts when allowed
+  if (!member.includes('@')) {
+    return client.api(`/me/contacts/${member}`).select('id,displayName,emailAddresses,categories').get();
+  }
+  
+  const existing = await findContactByEmail(client, member, await getContactFolderBases(client));
+  if (existing || !createMissing) {
+    return existing;
+  }
+  return client.api('/me/contacts').post({
+    displayName: member,
+    emailAddresses: [{ address: member, name: member }]
+  });
+}
+
+// Create MCP server
+const server = new McpServer({
+  name: 'mcp-outlook-server',
+  version: '1.0.0'
+});
+
+// Authentication
+server.tool(
+  'outlook_auth',
+  {
+    method: z.enum(['browser', 'deviceCode']).default('browser').describe('Login method: browser redirect to a local callback listener, or device code for headless machines'),
+    authCode: z.string().optional().describe('Authorization code copied from the redirect URL (only needed if the local callback listener could not be reached)'),
+    account: z.string().regex(/^[\w-]+$/).optional().describe('Account profile to sign in (a new name adds a profile once sign-in succeeds, without signing out the others; defaults to the current account)'),
+    tenantId: z.string().optional().describe('Tenant ID for this account profile (defaults to OUTLOOK_TENANT_ID or "common")')
+  },
+  async ({ method, authCode, account, tenantId }) => {
+    const name = account || accountSettings.current;
+    const profile = accountSettings.accounts[name] || {};
+    
+    discardAccountProfile(name);
+    if (!accountSettings.accounts[name] || (tenantId && tenantId !== profile.tenantId)) {
+      // Kept aside until sign-in succeeds, so a mistyped name or abandoned login leaves no profile behind
+      pendingAccountProfiles.set(name, tenantId ? { ...profile, tenantId } : profile);
+      // The MSAL clients are bound to the tenant, so rebuild them on the next use
+      accountClients.delete(name);
+    }
+    
+    if (method === 'deviceCode') {
+      const instructions = await startDeviceCodeAuth(name);
+      return {
+        content: [{
+          type: 'text',
+          text: `${instructions}\n\nOnce you have signed in, account "${name}" will be ready to use.`
+        }]
+      };
+    }
+    
+    if (!authCode) {
+      const authUrl = await startBrowserAuth(name);
+      return {
+        content: [{
+          type: 'text',
+          text: `Please visit this URL to authenticate account "${name}":\n${authUrl}\n\nThe server is listening on ${redirectUri} and will complete sign-in automatically.`
+        }]
+      };
+    } else {
+      // Manual fallback: redeem the pasted code with the verifier of the pending login
+      const codeVerifier = pendingBrowserAuth?.name === name ? pendingBrowserAuth.verifier : undefined;
+      stopCallbackListener();
+      await completeCodeAuth(name, authCode, codeVerifier);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Authentication successful for account "${name}"! You can now use other Outlook tools.`
+        }]
+      };
+    }
+  }
+);
+
+server.tool(
+  'outlook_logout',
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const name = resolveAccountName(account);
+    if (pendingBrowserAuth?.name === name) {
+      stopCallbackListener();
+    }
+    await clearTokenCache(name);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `Logged out of account "${name}" successfully! Cached tokens have been removed.`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_accounts',
+  {},
+  async () => {
+    const accounts = [];
+    for (const [name, profile] of Object.entries(accountSettings.accounts)) {
+      const signedIn = await getSignedInAccount(name);
+      accounts.push({
+        name,
+        current: name === accountSettings.current,
+        tenantId: profile.tenantId,
+        signedInAs: signedIn?.username || null
+      });
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(accounts, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_switch_account',
+  {
+    account: z.string().describe('Name of the account profile to make current')
+  },
+  async ({ account }) => {
+    accountSettings.current = resolveAccountName(account);
+    saveAccountSettings();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Switched to account "${account}" successfully!`
+      }]
+    };
+  }
+);
+
+// ================================
+// EMAIL MANAGEMENT TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_emails',
+  {
+    folder: z.string().default('inbox').describe(`Folder to list emails from (default: inbox). ${folderParamDescription}`),
+    limit: z.number().default(10).describe('Maximum number of emails to return per page'),
+    search: z.string().optional().describe('Free-text search query (KQL supported)'),
+    ...mailFilterParams,
+    ...paginationParams,
+    account: accountParam
+  },
+  async ({ folder, limit, search, cursor, fetchAll, maxResults, account, ...filters }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const folderId = await resolveMailFolderId(client, folder, account);
+    const tz = await getUserTimezone(client, account);
+    const dates = createDateResolver(tz);
+    let endpoint = `/me/mailFolders/${folderId}/messages`;
+    let query = {
+      $top: limit,
+      $select: 'id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments,conversationId,categories,flag',
+      ...buildMailQuery({ search, ...resolveMailFilterDates(filters, dates) }, tz)
+    };
+    
+    const { items, nextCursor, truncated } = await getPagedResults(client, endpoint, query, { cursor, fetchAll, maxResults });
+    
+    const emails = items.map(email => ({
+      id: email.id,
+      subject: email.subject,
+      from: email.from?.emailAddress?.address || 'Unknown',
+      received: email.receivedDateTime,
+      preview: email.bodyPreview,
+      isRead: email.isRead,
+      importance: email.importance,
+      hasAttachments: email.hasAttachments,
+      conversationId: email.conversationId,
+      categories: email.categories,
+      flag: formatFlag(email.flag)
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ emails, nextCursor, truncated, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_read_email',
+  {
+    emailId: z.string().describe('The ID of the email to read'),
+    account: accountParam
+  },
+  async ({ emailId, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const email = await client.api(`/me/messages/${emailId}`)
+      .select('subject,from,to,cc,bcc,receivedDateTime,body,attachments,importance,categories,conversationId')
+      .expand('attachments')
+      .get();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          subject: email.subject,
+          from: email.from?.emailAddress?.address,
+          to: email.to?.map(r => r.emailAddress.address),
+          cc: email.cc?.map(r => r.emailAddress.address),
+          bcc: email.bcc?.map(r => r.emailAddress.address),
+          received: email.receivedDateTime,
+          body: email.body.content,
+          importance: email.importance,
+          categories: email.categories,
+          conversationId: email.conversationId,
+          attachments: email.attachments?.map(att => ({
+            id: att.id,
+            name: att.name,
+            size: att.size,
+            contentType: att.contentType,
+            kind: getAttachmentKind(att),
+            isInline: att.isInline
+          }))
+        }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_get_thread',
+  {
+    emailId: z.string().optional().describe('The ID of any email in the thread'),
+    conversationId: z.string().optional().describe('The conversation ID of the thread (alternative to emailId)'),
+    includeQuoted: z.boolean().default(false).describe('Return full bodies including quoted history instead of collapsing it'),
+    account: accountParam
+  },
+  async ({ emailId, conversationId, includeQuoted, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    if (!emailId && !conversationId) {
+      throw new Error('Either emailId or conversationId is required');
+    }
+    
+    if (!conversationId) {
+      const email = await client.api(`/me/messages/${emailId}`).select('conversationId').get();
+      conversationId = email.conversationId;
+    }
+    
+    // /me/messages spans every folder, so replies in Sent Items are included too
+    const { items, truncated } = await getPagedResults(client, '/me/messages', {
+      $filter: `conversationId eq ${quoteODataString(conversationId)}`,
+      $select: 'id,subject,from,toRecipients,ccRecipients,sentDateTime,receivedDateTime,body,uniqueBody,parentFolderId,isRead,hasAttachments',
+      $top: 50
+    }, { fetchAll: true, headers: { Prefer: 'outlook.body-content-type="text"' } });
+    
+    const folderPaths = await getMailFolderPaths(client, items.map(message => message.parentFolderId), getFolderIdCache(account));
+    
+    // Graph rejects $orderby combined with a conversationId filter, so sort here
+    const messages = items
+      .sort((a, b) => new Date(a.sentDateTime || a.receivedDateTime) - new Date(b.sentDateTime || b.receivedDateTime))
+      .map(message => ({
+        id: message.id,
+        subject: message.subject,
+        from: message.from?.emailAddress?.address,
+        to: message.toRecipients?.map(r => r.emailAddress.address),
+        cc: message.ccRecipients?.map(r => r.emailAddress.address),
+        sent: message.sentDateTime,
+        folder: folderPaths.get(message.parentFolderId) || message.parentFolderId,
+        isRead: message.isRead,
+        hasAttachments: message.hasAttachments,
+        body: includeQuoted
+          ? message.body?.content
+          : collapseQuotedText(message.uniqueBody?.content || message.body?.content)
+      }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ conversationId, messageCount: messages.length, truncated, messages }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_get_attachment',
+  {
+    emailId: z.string().describe('The ID of the email containing the attachment'),
+    attachmentId: z.string().describe('The ID of the attachment (see outlook_read_email)'),
+    savePath: z.string().optional().describe('Optional file path to save a file attachment to (e.g., "~/Downloads/report.pdf")'),
+    account: accountParam
+  },
+  async ({ emailId, attachmentId, savePath, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const endpoint = `/me/messages/${emailId}/attachments/${attachmentId}`;
+    let attachment = await client.api(endpoint).get();
+    const kind = getAttachmentKind(attachment);
+    
+    if (kind === 'reference') {
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            kind,
+            name: attachment.name,
+            sourceUrl: attachment.sourceUrl,
+            providerType: attachment.providerType,
+            permission: attachment.permission,
+            isFolder: attachment.isFolder
+          }, null, 2)
+        }]
+      };
+    }
+    
+    if (kind === 'item') {
+      // Attached emails and events only come back with their content when expanded
+      attachment = await client.api(endpoint)
+        .expand('microsoft.graph.itemAttachment/item')
+        .get();
+      const item = attachment.item || {};
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            kind,
+            name: attachment.name,
+            itemType: item['@odata.type']?.replace('#microsoft.graph.', ''),
+            subject: item.subject,
+            from: item.from?.emailAddress?.address,
+            organizer: item.organizer?.emailAddress?.address,
+            to: item.toRecipients?.map(r => r.emailAddress.address),
+            sent: item.sentDateTime,
+            start: item.start?.dateTime,
+            end: item.end?.dateTime,
+            location: item.location?.displayName,
+            body: item.body?.content
+          }, null, 2)
+        }]
+      };
+    }
+    
+    const buffer = Buffer.from(attachment.contentBytes || '', 'base64');
+    const details = {
+      kind,
+      name: attachment.name,
+      contentType: attachment.contentType,
+      size: attachment.size
+    };
+    
+    if (savePath) {
+      const filePath = expandHomePath(savePath);
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, buffer);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Attachment saved successfully to ${filePath}\n${JSON.stringify(details, null, 2)}`
+        }]
+      };
+    }
+    
+    if (isTextContentType(attachment.contentType)) {
+      return {
+        content: [{
+          type: 'text',
+          text: `${JSON.stringify(details, null, 2)}\n\n${buffer.toString('utf8')}`
+        }]
+      };
+    }
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(details, null, 2)
+        },
+        {
+          type: 'resource',
+          resource: {
+            uri: `outlook://messages/${emailId}/attachments/${attachmentId}`,
+            mimeType: attachment.contentType || 'application/octet-stream',
+            blob: buffer.toString('base64')
+          }
+        }
+      ]
+    };
+  }
+);
+
+server.tool(
+  'outlook_send_email',
+  {
+    to: z.array(z.string()).describe('Array of recipient email addresses'),
+    subject: z.string().describe('Email subject'),
+    body: z.string().describe('Email body (HTML supported)'),
+    cc: z.array(z.string()).optional().describe('Array of CC email addresses'),
+    bcc: z.array(z.string()).optional().describe('Array of BCC email addresses'),
+    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Email importance level'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Files to attach (by local path or base64 content)'),
+    account: accountParam
+  },
+  async ({ to, subject, body, cc, bcc, importance, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await sendNewMessage(client, buildMessage({ subject, body, to, cc, bcc, importance }), attachments);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Email sent successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_reply_email',
+  {
+    emailId: z.string().describe('The ID of the email to reply to'),
+    body: z.string().describe('Reply body (HTML supported)'),
+    replyAll: z.boolean().default(false).describe('Whether to reply to all recipients'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Files to attach (by local path or base64 content)'),
+    account: accountParam
+  },
+  async ({ emailId, body, replyAll, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const replyData = {
+      message: buildMessage({ body })
+    };
+    
+    if (attachments?.length) {
+      const outgoing = attachments.map(loadOutgoingAttachment);
+      const draftEndpoint = replyAll ? `/me/messages/${emailId}/createReplyAll` : `/me/messages/${emailId}/createReply`;
+      const draft = await client.api(draftEndpoint).post(replyData);
+      await sendDraftWithAttachments(client, draft.id, outgoing);
+    } else {
+      const endpoint = replyAll ? `/me/messages/${emailId}/replyAll` : `/me/messages/${emailId}/reply`;
+      await client.api(endpoint).post(replyData);
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Email ${replyAll ? 'reply all' : 'reply'} sent successfully!`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_forward_email',
+  {
+    emailId: z.string().describe('The ID of the email to forward'),
+    to: z.array(z.string()).describe('Array of recipient email addresses'),
+    body: z.string().optional().describe('Additional message body (HTML supported)'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Files to attach (by local path or base64 content)'),
+    account: accountParam
+  },
+  async ({ emailId, to, body, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const forwardData = {
+      message: buildMessage({ to, body: body || undefined })
+    };
+    
+    if (attachments?.length) {
+      const outgoing = attachments.map(loadOutgoingAttachment);
+      const draft = await client.api(`/me/messages/${emailId}/createForward`).post(forwardData);
+      await sendDraftWithAttachments(client, draft.id, outgoing);
+    } else {
+      await client.api(`/me/messages/${emailId}/forward`).post(forwardData);
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Email forwarded successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_delete_email',
+  {
+    emailId: z.string().describe('The ID of the email to delete'),
+    account: accountParam
+  },
+  async ({ emailId, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`/me/messages/${emailId}`).delete();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Email deleted successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_mark_email_read',
+  {
+    emailId: z.string().describe('The ID of the email to mark as read/unread'),
+    isRead: z.boolean().describe('Whether to mark as read (true) or unread (false)'),
+    account: accountParam
+  },
+  async ({ emailId, isRead, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`/me/messages/${emailId}`).patch({ isRead });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Email marked as ${isRead ? 'read' : 'unread'} successfully!`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_move_email',
+  {
+    emailId: z.string().describe('The ID of the email to move'),
+    destinationFolder: z.string().describe(`Destination folder (e.g., "junk", "archive", "Inbox/Projects/Acme"). ${folderParamDescription}`),
+    account: accountParam
+  },
+  async ({ emailId, destinationFolder, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const destinationId = await resolveMailFolderId(client, destinationFolder, account);
+    
+    await client.api(`/me/messages/${emailId}/move`).post({
+      destinationId
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Email moved to ${destinationFolder} successfully!`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_bulk_mark_read',
+  {
+    ...bulkTargetParams,
+    isRead: z.boolean().describe('Whether to mark as read (true) or unread (false)'),
+    account: accountParam
+  },
+  async ({ isRead, account, ...selection }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const dates = createDateResolver(await getUserTimezone(client, account));
+    const targets = await resolveBulkTargets(client, selection, account, dates);
+    const report = await runBulkOperation(client, targets, selection.dryRun, id => ({
+      method: 'PATCH',
+      url: `/me/messages/${id}`,
+      body: { isRead }
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ ...report, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_bulk_move',
+  {
+    ...bulkTargetParams,
+    destinationFolder: z.string().describe(`Destination folder (e.g., "junk", "archive", "Inbox/Projects/Acme"). ${folderParamDescription}`),
+    account: accountParam
+  },
+  async ({ destinationFolder, account, ...selection }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const destinationId = await resolveMailFolderId(client, destinationFolder, account);
+    const dates = createDateResolver(await getUserTimezone(client, account));
+    const targets = await resolveBulkTargets(client, selection, account, dates);
+    const report = await runBulkOperation(client, targets, selection.dryRun, id => ({
+      method: 'POST',
+      url: `/me/messages/${id}/move`,
+      body: { destinationId }
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ ...report, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_bulk_delete',
+  {
+    ...bulkTargetParams,
+    account: accountParam
+  },
+  async ({ account, ...selection }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const dates = createDateResolver(await getUserTimezone(client, account));
+    const targets = await resolveBulkTargets(client, selection, account, dates);
+    const report = await runBulkOperation(client, targets, selection.dryRun, id => ({
+      method: 'DELETE',
+      url: `/me/messages/${id}`
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ ...report, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_folders',
+  {
+    recursive: z.boolean().default(true).describe('Include child folders at every level'),
+    account: accountParam
+  },
+  async ({ recursive, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const folderTree = await getMailFolderTree(client, null, '', getFolderIdCache(account), recursive);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(folderTree, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_create_folder',
+  {
+    name: z.string().describe('Name of the new folder'),
+    parentFolder: z.string().optional().describe(`Parent folder (top level if omitted). ${folderParamDescription}`),
+    account: accountParam
+  },
+  async ({ name, parentFolder, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const endpoint = parentFolder
+      ? `/me/mailFolders/${await resolveMailFolderId(client, parentFolder, account)}/childFolders`
+      : '/me/mailFolders';
+    const result = await client.api(endpoint).post({ displayName: name });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Folder created successfully! Folder ID: ${result.id}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_rename_folder',
+  {
+    folder: z.string().describe(`Folder to rename. ${folderParamDescription}`),
+    newName: z.string().describe('New folder name'),
+    account: accountParam
+  },
+  async ({ folder, newName, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const folderId = await resolveMailFolderId(client, folder, account);
+    await client.api(`/me/mailFolders/${folderId}`).patch({ displayName: newName });
+    clearFolderIdCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Folder renamed to ${newName} successfully!`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_move_folder',
+  {
+    folder: z.string().describe(`Folder to move. ${folderParamDescription}`),
+    destinationFolder: z.string().describe(`New parent folder. ${folderParamDescription}`),
+    account: accountParam
+  },
+  async ({ folder, destinationFolder, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const folderId = await resolveMailFolderId(client, folder, account);
+    const destinationId = await resolveMailFolderId(client, destinationFolder, account);
+    await client.api(`/me/mailFolders/${folderId}/move`).post({ destinationId });
+    clearFolderIdCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Folder moved to ${destinationFolder} successfully!`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_delete_folder',
+  {
+    folder: z.string().describe(`Folder to delete (its emails and child folders move to Deleted Items). ${folderParamDescription}`),
+    account: accountParam
+  },
+  async ({ folder, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const folderId = await resolveMailFolderId(client, folder, account);
+    await client.api(`/me/mailFolders/${folderId}`).delete();
+    clearFolderIdCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Folder deleted successfully!'
+      }]
+    };
+  }
+);
+
+// ================================
+// DRAFT MANAGEMENT TOOLS
+// ================================
+
+server.tool(
+  'outlook_create_draft',
+  {
+    type: z.enum(['new', 'reply', 'replyAll', 'forward']).default('new').describe('Kind of draft to create'),
+    emailId: z.string().optional().describe('The ID of the email to reply to or forward (required unless type is "new")'),
+    to: z.array(z.string()).optional().describe('Array of recipient email addresses'),
+    subject: z.string().optional().describe('Email subject (defaults to the original subject for replies and forwards)'),
+    body: z.string().optional().describe('Email body (HTML supported)'),
+    cc: z.array(z.string()).optional().describe('Array of CC email addresses'),
+    bcc: z.array(z.string()).optional().describe('Array of BCC email addresses'),
+    importance: z.enum(['low', 'normal', 'high']).optional().describe('Email importance level'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Files to attach (by local path or base64 content)'),
+    account: accountParam
+  },
+  async ({ type, emailId, to, subject, body, cc, bcc, importance, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const message = buildMessage({ subject, body, to, cc, bcc, importance });
+    const outgoing = (attachments || []).map(loadOutgoingAttachment);
+    let draft;
+    
+    if (type === 'new') {
+      draft = await client.api('/me/messages').post(message);
+    } else {
+      if (!emailId) {
+        throw new Error(`emailId is required to create a ${type} draft`);
+      }
+      const actions = { reply: 'createReply', replyAll: 'createReplyAll', forward: 'createForward' };
+      draft = await client.api(`/me/messages/${emailId}/${actions[type]}`).post({ message });
+    }
+    
+    if (outgoing.length) {
+      await attachToNewDraft(client, draft.id, outgoing);
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Draft created successfully! Draft ID: ${draft.id}\nReview it in Outlook: ${draft.webLink}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_drafts',
+  {
+    limit: z.number().default(10).describe('Maximum number of drafts to return per page'),
+    ...paginationParams,
+    account: accountParam
+  },
+  async ({ limit, cursor, fetchAll, maxResults, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const { items, nextCursor, truncated } = await getPagedResults(client, '/me/mailFolders/drafts/messages', {
+      $top: limit,
+      $select: 'id,subject,toRecipients,ccRecipients,lastModifiedDateTime,bodyPreview,hasAttachments,webLink',
+      $orderby: 'lastModifiedDateTime DESC'
+    }, { cursor, fetchAll, maxResults });
+    
+    const drafts = items.map(draft => ({
+      id: draft.id,
+      subject: draft.subject,
+      to: draft.toRecipients?.map(r => r.emailAddress.address),
+      cc: draft.ccRecipients?.map(r => r.emailAddress.address),
+      lastModified: draft.lastModifiedDateTime,
+      preview: draft.bodyPreview,
+      hasAttachments: draft.hasAttachments,
+      webLink: draft.webLink
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ drafts, nextCursor, truncated }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_update_draft',
+  {
+    draftId: z.string().describe('The ID of the draft to update'),
+    to: z.array(z.string()).optional().describe('Replacement array of recipient email addresses'),
+    subject: z.string().optional().describe('Updated email subject'),
+    body: z.string().optional().describe('Updated email body (HTML supported)'),
+    cc: z.array(z.string()).optional().describe('Replacement array of CC email addresses'),
+    bcc: z.array(z.string()).optional().describe('Replacement array of BCC email addresses'),
+    importance: z.enum(['low', 'normal', 'high']).optional().describe('Updated email importance level'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Additional files to attach (by local path or base64 content)'),
+    account: accountParam
+  },
+  async ({ draftId, to, subject, body, cc, bcc, importance, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const updateData = buildMessage({ subject, body, to, cc, bcc, importance });
+    
+    if (Object.keys(updateData).length > 0) {
+      await client.api(`/me/messages/${draftId}`).patch(updateData);
+    }
+    
+    if (attachments?.length) {
+      await addAttachmentsToDraft(client, draftId, attachments.map(loadOutgoingAttachment));
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Draft updated successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_send_draft',
+  {
+    draftId: z.string().describe('The ID of the draft to send'),
+    account: accountParam
+  },
+  async ({ draftId, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`/me/messages/${draftId}/send`).post({});
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Draft sent successfully!'
+      }]
+    };
+  }
+);
+
+// ================================
+// CATEGORY AND FLAG TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_categories',
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const categories = await client.api('/me/outlook/masterCategories').get();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(categories.value.map(category => ({
+          id: category.id,
+          name: category.displayName,
+          color: category.color
+        })), null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_create_category',
+  {
+    name: z.string().describe('Category name'),
+    color: z.enum(CATEGORY_COLORS).default('none').describe('Color preset (preset0 red, preset1 orange, preset3 yellow, preset4 green, preset7 blue, preset8 purple, up to preset24)'),
+    account: accountParam
+  },
+  async ({ name, color, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const result = await client.api('/me/outlook/masterCategories').post({
+      displayName: name,
+      color
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Category created successfully! Category ID: ${result.id}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_update_category',
+  {
+    categoryId: z.string().describe('The ID of the category to update (category names cannot be changed)'),
+    color: z.enum(CATEGORY_COLORS).describe('New color preset'),
+    account: accountParam
+  },
+  async ({ categoryId, color, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`/me/outlook/masterCategories/${categoryId}`).patch({ color });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Category updated successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_delete_category',
+  {
+    categoryId: z.string().describe('The ID of the category to delete'),
+    account: accountParam
+  },
+  async ({ categoryId, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`/me/outlook/masterCategories/${categoryId}`).delete();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Category deleted successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_set_categories',
+  {
+    itemType: z.enum(['email', 'event']).describe('Whether the item is an email or a calendar event'),
+    itemId: z.string().describe('The ID of the email or event'),
+    add: z.array(z.string()).optional().describe('Category names to add'),
+    remove: z.array(z.string()).optional().describe('Category names to remove'),
+    account: accountParam
+  },
+  async ({ itemType, itemId, add, remove, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const endpoint = itemType === 'email' ? `/me/messages/${itemId}` : `/me/events/${itemId}`;
+    const item = await client.api(endpoint).select('categories').get();
+    
+    const removed = new Set((remove || []).map(name => name.toLowerCase()));
+    const categories = (item.categories || []).filter(name => !removed.has(name.toLowerCase()));
+    for (const name of add || []) {
+      if (!categories.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+        categories.push(name);
+      }
+    }
+    
+    await client.api(endpoint).patch({ categories });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Categories updated successfully! Current categories: ${categories.length > 0 ? categories.join(', ') : 'none'}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_set_flag',
+  {
+    emailId: z.string().describe('The ID of the email to flag'),
+    status: z.enum(['flagged', 'complete', 'notFlagged']).describe('Set (flagged), complete (complete) or clear (notFlagged) the follow-up flag'),
+    startDate: z.string().optional().describe('Flag start date/time, ISO or natural language (defaults to now when a due date is set)'),
+    dueDate: z.string().optional().describe('Flag due date/time, ISO or natural language like "end of week"'),
+    timezone: z.string().optional().describe('Timezone for the flag dates. Defaults to your configured or mailbox timezone'),
+    account: accountParam
+  },
+  async ({ emailId, status, startDate, dueDate, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    const flag = { flagStatus: status };
+    
+    if (status === 'flagged' && (startDate || dueDate)) {
+      // Graph only accepts a due date together with a start date
+      flag.startDateTime = formatDateTimeForGraph(dates.resolve('startDate', startDate) || new Date().toISOString(), tz);
+      if (dueDate) {
+        flag.dueDateTime = formatDateTimeForGraph(dates.resolve('dueDate', dueDate), tz);
+      }
+    }
+    
+    if (status === 'complete') {
+      flag.completedDateTime = formatDateTimeForGraph(new Date().toISOString(), tz);
+    }
+    
+    await client.api(`/me/messages/${emailId}`).patch({ flag });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Email flag set to ${status} successfully!${dates.describe()}`
+      }]
+    };
+  }
+);
+
+// ================================
+// INBOX RULE TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_rules',
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const rules = await client.api(RULES_ENDPOINT).get();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(rules.value.sort((a, b) => a.sequence - b.sequence).map(formatRule), null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_create_rule',
+  {
+    name: z.string().describe('Rule display name'),
+    conditions: ruleConditionsSchema.describe('Conditions an email must meet (all must match)'),
+    actions: ruleActionsSchema.describe('Actions to take on matching emails'),
+    sequence: z.number().optional().describe('Order in which the rule runs (defaults to after existing rules)'),
+    isEnabled: z.boolean().default(true).describe('Whether the rule is enabled'),
+    preview: z.boolean().default(false).describe('Only list recent inbox emails the conditions would match, without creating the rule'),
+    previewCount: z.number().default(100).describe('Number of recent inbox emails to check when previewing'),
+    account: accountParam
+  },
+  async ({ name, conditions, actions, sequence, isEnabled, preview, previewCount, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    if (preview) {
+      const select = ['id', 'subject', 'from', 'receivedDateTime', 'hasAttachments', 'importance'];
+      if (conditions.bodyContains) select.push('body');
+      
+      const { items } = await getPagedResults(client, '/me/mailFolders/inbox/messages', {
+        $top: Math.min(previewCount, 50),
+        $select: select.join(','),
+        $orderby: 'receivedDateTime DESC'
+      }, { fetchAll: true, maxResults: previewCount, headers: { Prefer: 'outlook.body-content-type="text"' } });
+      
+      const matches = items.filter(message => matchesRuleConditions(message, conditions)).map(message => ({
+        id: message.id,
+        subject: message.subject,
+        from: message.from?.emailAddress?.address,
+        received: message.receivedDateTime
+      }));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ checked: items.length, matched: matches.length, matches }, null, 2)
+        }]
+      };
+    }
+    
+    if (sequence === undefined) {
+      const existing = await client.api(RULES_ENDPOINT).select('sequence').get();
+      sequence = existing.value.reduce((max, rule) => Math.max(max, rule.sequence), 0) + 1;
+    }
+    
+    const result = await client.api(RULES_ENDPOINT).post({
+      displayName: name,
+      sequence,
+      isEnabled,
+      conditions: buildRuleConditions(conditions),
+      actions: await buildRuleActions(client, actions, account)
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Rule created successfully! Rule ID: ${result.id}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_update_rule',
+  {
+    ruleId: z.string().describe('The ID of the rule to update'),
+    name: z.string().optional().describe('Updated rule display name'),
+    conditions: ruleConditionsSchema.optional().describe('Conditions to change (merged into the existing conditions)'),
+    actions: ruleActionsSchema.optional().describe('Actions to change (merged into the existing actions)'),
+    sequence: z.number().optional().describe('Updated rule order'),
+    isEnabled: z.boolean().optional().describe('Enable (true) or disable (false) the rule'),
+    account: accountParam
+  },
+  async ({ ruleId, name, conditions, actions, sequence, isEnabled, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const updateData = {};
+    
+    if (name) updateData.displayName = name;
+    if (sequence !== undefined) updateData.sequence = sequence;
+    if (isEnabled !== undefined) updateData.isEnabled = isEnabled;
+    
+    if (conditions || actions) {
+      // PATCH replaces conditions and actions wholesale, so merge with the current rule first
+      const existing = await client.api(`${RULES_ENDPOINT}/${ruleId}`).get();
+      if (conditions) {
+        updateData.conditions = { ...existing.conditions, ...buildRuleConditions(conditions) };
+      }
+      if (actions) {
+        updateData.actions = { ...existing.actions, ...await buildRuleActions(client, actions, account) };
+      }
+    }
+    
+    await client.api(`${RULES_ENDPOINT}/${ruleId}`).patch(updateData);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Rule updated successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_delete_rule',
+  {
+    ruleId: z.string().describe('The ID of the rule to delete'),
+    account: accountParam
+  },
+  async ({ ruleId, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    await client.api(`${RULES_ENDPOINT}/${ruleId}`).delete();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Rule deleted successfully!'
+      }]
+    };
+  }
+);
+
+// ================================
+// CALENDAR MANAGEMENT TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_calendars',
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const me = await client.api('/me').select('mail,userPrincipalName').get();
+    const myAddress = (me.mail || me.userPrincipalName || '').toLowerCase();
+    
+    const { items } = await getPagedResults(client, '/me/calendars', {
+      $select: 'id,name,color,owner,isDefaultCalendar,canEdit,canShare,canViewPrivateItems,isRemovable',
+      $top: 100
+    }, { fetchAll: true });
+    
+    const calendars = items.map(calendar => {
+      const ownerAddress = calendar.owner?.address?.toLowerCase();
+      let source = 'shared';
+      if (calendar.isDefaultCalendar) {
+        source = 'primary';
+      } else if (!ownerAddress || ownerAddress === myAddress) {
+        source = 'own';
+      } else if (calendar.canEdit) {
+        source = 'delegated';
+      }
+      
+      return {
+        id: calendar.id,
+        name: calendar.name,
+        source,
+        owner: calendar.owner ? { name: calendar.owner.name, email: calendar.owner.address } : null,
+        color: calendar.color,
+        permissions: {
+          canEdit: calendar.canEdit,
+          canShare: calendar.canShare,
+          canViewPrivateItems: calendar.canViewPrivateItems
+        }
+      };
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(calendars, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_calendar_events',
+  {
+    startDateTime: z.string().optional().describe('Start date/time, ISO or natural language like "monday" (default: now)'),
+    endDateTime: z.string().optional().describe('End date/time, ISO or natural language like "end of week" (default: 7 days from now)'),
+    limit: z.number().default(20).describe('Maximum number of events to return per page'),
+    responseStatus: z.enum(['none', 'organizer', 'tentativelyAccepted', 'accepted', 'declined', 'notResponded']).optional()
+      .describe('Only events with this response from you (e.g., "notResponded" for pending invites). Pages are read until limit events match, so the last one read can add a few more'),
+    calendar: calendarParam,
+    calendars: z.array(z.string()).optional()
+      .describe('Merge events from several calendars (IDs, names or email addresses) into one view, each tagged with its source calendar'),
+    ...paginationParams,
+    account: accountParam
+  },
+  async ({ startDateTime, endDateTime, limit, responseStatus, calendar, calendars, cursor, fetchAll, maxResults, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    if (calendar && calendars) {
+      throw new Error('Pass either calendar or calendars, not both');
+    }
+    if (calendars && cursor) {
+      throw new Error('The merged calendar view returns every event in the range at once and does not take a cursor');
+    }
+    
+    const tz = await getUserTimezone(client, account);
+    const now = new Date();
+    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    
+    const dates = createDateResolver(tz, now);
+    const [rangeStart, rangeEnd] = dates.resolveRange('startDateTime', startDateTime, 'endDateTime', endDateTime);
+    
+    // calendarView reads times without an offset as UTC, so pin naive inputs to the user's zone
+    const query = {
+      startDateTime: rangeStart ? toUtcInstant(rangeStart, tz).toISOString() : now.toISOString(),
+      endDateTime: rangeEnd ? toUtcInstant(rangeEnd, tz).toISOString() : weekFromNow.toISOString(),
+      $top: limit,
+      $select: 'id,subject,start,end,location,bodyPreview,organizer,attendees,importance,showAs,isAllDay,type,seriesMasterId,responseStatus',
+      $orderby: 'start/dateTime'
+    };
+    
+    // calendarView can't filter on responseStatus server-side
+    const matches = event => !responseStatus || event.responseStatus?.response === responseStatus;
+    
+    let events = [];
+    let nextCursor = null;
+    let truncated = false;
+    
+    if (calendars) {
+      // Each calendar has its own calendarView, so page through each one and merge by start time
+      for (const reference of calendars) {
+        const source = await resolveCalendar(client, reference);
+        const result = await getPagedResults(client, `${source.base}/calendarView`, query, { fetchAll: true, maxResults });
+        truncated = truncated || result.truncated || Boolean(result.nextCursor);
+        events.push(...result.items.map(event => ({ ...event, sourceCalendar: { id: source.id, name: source.name || reference } })));
+      }
+      events.sort((a, b) => a.start.dateTime.localeCompare(b.start.dateTime));
+    } else {
+      const source = await resolveCalendar(client, calendar);
+      let result = await getPagedResults(client, `${source.base}/calendarView`, query, { cursor, fetchAll, maxResults });
+      events = result.items;
+      // Filtered pages would otherwise come back short or empty while there's more to read; the fetchAll cap bounds the scan
+      while (responseStatus && !fetchAll && result.nextCursor && events.filter(matches).length < limit && events.length < MAX_FETCH_ALL_RESULTS) {
+        result = await getPagedResults(client, `${source.base}/calendarView`, query, { cursor: result.nextCursor });
+        events = [...events, ...result.items];
+      }
+      ({ nextCursor, truncated } = result);
+    }
+    
+    const formattedEvents = events.filter(matches).map(event => ({
+      ...formatCalendarEvent(event),
+      calendar: event.sourceCalendar
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ events: formattedEvents, nextCursor, truncated, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_create_calendar_event',
+  {
+    subject: z.string().describe('Event subject/title'),
+    start: z.string().describe('Start date/time: ISO (YYYY-MM-DDTHH:mm:ss in the event timezone, with Z or an offset for an exact instant, or YYYY-MM-DD for all-day) or natural language such as "tomorrow 3pm" or a range like "Mon 10:00-11:30"'),
+    end: z.string().optional().describe('End date/time, ISO or natural language (YYYY-MM-DD for all-day; the end date is exclusive). Not needed when start is a time range'),
+    body: z.string().optional().describe('Event description/body'),
+    location: z.string().optional().describe('Event location'),
+    attendees: z.array(z.string()).optional().describe('Array of attendee email addresses'),
+    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Event importance'),
+    showAs: z.enum(['free', 'tentative', 'busy', 'oof', 'workingElsewhere']).default('busy').describe('Show as status'),
+    isAllDay: z.boolean().default(false).describe('Whether this is an all-day event'),
+    timezone: z.string().optional().describe('Timezone (e.g., "Europe/London", "America/New_York"). Defaults to your configured or mailbox timezone'),
+    recurrence: recurrenceSchema.optional().describe('Make this a recurring event series'),
+    calendar: calendarParam,
+    ...conflictParams,
+    account: accountParam
+  },
+  async ({ subject, start, end, body, location, attendees, importance, showAs, isAllDay, timezone, recurrence, calendar, checkConflicts, failOnConflict, flagBackToBack, bufferMinutes, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    [start, end] = dates.resolveRange('start', start, 'end', end);
+    if (!end && !isAllDay) {
+      throw new Error('end is required unless start gives a time range such as "Mon 10:00-11:30"');
+    }
+    
+    const { result, event, calendarName, conflicts } = await createCalendarEvent(client, {
+      subject,
+      start,
+      end,
+      body,
+      location,
+      attendees,
+      importance,
+      showAs,
+      isAllDay,
+      timeZone: tz,
+      recurrence,
+      calendar,
+      checkConflicts,
+      failOnConflict,
+      flagBackToBack,
+      bufferMinutes
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Calendar event created successfully! Event ID: ${result.id}\nTimezone: ${event.start.timeZone}${calendarName ? `\nCalendar: ${calendarName}` : ''}${dates.describe()}${formatConflictWarning(conflicts)}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_update_calendar_event',
+  {
+    eventId: z.string().describe('The ID of the event to update (a series master ID changes every occurrence, an occurrence ID only that one)'),
+    subject: z.string().optional().describe('Updated event subject/title'),
+    start: z.string().optional().describe('Updated start date/time, ISO or natural language (a range like "Fri 2-3pm" sets both ends)'),
+    end: z.string().optional().describe('Updated end date/time, ISO or natural language'),
+    body: z.string().optional().describe('Updated event description/body'),
+    location: z.string().optional().describe('Updated event location'),
+    importance: z.enum(['low', 'normal', 'high']).optional().describe('Updated event importance'),
+    timezone: z.string().optional().describe('Timezone for the event times'),
+    recurrence: recurrenceSchema.optional().describe('Updated recurrence pattern (series master only)'),
+    calendar: calendarParam,
+    ...conflictParams,
+    account: accountParam
+  },
+  async ({ eventId, subject, start, end, body, location, importance, timezone, recurrence, calendar, checkConflicts, failOnConflict, flagBackToBack, bufferMinutes, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    [start, end] = dates.resolveRange('start', start, 'end', end);
+    const updateData = {};
+    
+    if (subject) updateData.subject = subject;
+    if (start) updateData.start = formatDateTimeForGraph(start, tz);
+    if (end) updateData.end = formatDateTimeForGraph(end, tz);
+    if (body) updateData.body = { contentType: 'HTML', content: body };
+    if (location) updateData.location = { displayName: location };
+    if (importance) updateData.importance = importance;
+    
+    if (recurrence) {
+      // The series start date defaults to the event's current start
+      const seriesStart = start
+        ? updateData.start.dateTime
+        : (await client.api(`${base}/events/${eventId}`).header('Prefer', `outlook.timezone="${toWindowsTimezone(tz)}"`).select('start').get()).start.dateTime;
+      updateData.recurrence = buildRecurrence(recurrence, seriesStart, tz);
+    }
+    
+    let conflicts = [];
+    if (checkConflicts && (start || end)) {
+      // Only one end of the event may be moving, so fill in the other from the current event
+      const existing = await client.api(`${base}/events/${eventId}`)
+        .header('Prefer', 'outlook.timezone="UTC"')
+        .select('start,end,showAs,isAllDay')
+        .get();
+      
+      if (!existing.isAllDay && CONFLICTING_SHOW_AS.includes(existing.showAs)) {
+        conflicts = await findConflicts(client, {
+          base,
+          start: start ? zonedDateTimeToUtc(updateData.start.dateTime, tz) : new Date(`${existing.start.dateTime}Z`),
+          end: end ? zonedDateTimeToUtc(updateData.end.dateTime, tz) : new Date(`${existing.end.dateTime}Z`),
+          timeZone: tz,
+          excludeEventId: eventId,
+          bufferMinutes,
+          flagBackToBack
+        });
+        assertNoBlockingConflicts(conflicts, failOnConflict);
+      }
+    }
+    
+    await client.api(`${base}/events/${eventId}`).patch(updateData);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Calendar event updated successfully!${dates.describe()}${formatConflictWarning(conflicts)}`
+      }]
+    };
+  }
+);
+
+
+
+
+
+
+
+server.tool(
+  'outlook_delete_calendar_event',
+  {
+    eventId: z.string().describe('The ID of the event to delete (a series master ID deletes the whole series, an occurrence ID only that one)'),
+    calendar: calendarParam,
+    account: accountParam
+  },
+  async ({ eventId, calendar, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    await client.api(`${base}/events/${eventId}`).delete();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Calendar event deleted successfully!'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_cancel_calendar_event',
+  {
+    eventId: z.string().describe('The ID of the meeting or single occurrence to cancel (organizer only)'),
+    comment: z.string().optional().describe('Message sent to attendees with the cancellation'),
+    calendar: calendarParam,
+    account: accountParam
+  },
+  async ({ eventId, comment, calendar, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    await client.api(`${base}/events/${eventId}/cancel`).post({ comment: comment || '' });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Calendar event cancelled successfully! Attendees have been notified.'
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_respond_to_event',
+  {
+    eventId: z.string().optional().describe('The ID of the meeting to respond to'),
+    meetingRequestId: z.string().optional().describe('The ID of a meeting request email (alternative to eventId)'),
+    response: z.enum(['accept', 'tentativelyAccept', 'decline']).describe('Your response to the invitation'),
+    comment: z.string().optional().describe('Optional message to the organizer'),
+    sendResponse: z.boolean().default(true).describe('Whether to send the response to the organizer'),
+    proposedStart: z.string().optional().describe('Propose a new start date/time, ISO or natural language; a range like "Thu 2-3pm" also sets the end (tentativelyAccept or decline only)'),
+    proposedEnd: z.string().optional().describe('Propose a new end date/time, ISO or natural language (tentativelyAccept or decline only)'),
+    timezone: z.string().optional().describe('Timezone for the proposed times. Defaults to your configured or mailbox timezone'),
+    calendar: calendarParam,
+    account: accountParam
+  },
+  async ({ eventId, meetingRequestId, response, comment, sendResponse, proposedStart, proposedEnd, timezone, calendar, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    if (!eventId && !meetingRequestId) {
+      throw new Error('Either eventId or meetingRequestId is required');
+    }
+    
+    if (!eventId) {
+      const message = await client.api(`/me/messages/${meetingRequestId}`)
+        .expand('microsoft.graph.eventMessage/event($select=id)')
+        .get();
+      if (!message.event?.id) {
+        throw new Error('This email is not a meeting request');
+      }
+      eventId = message.event.id;
+    }
+    
+    const responseData = { sendResponse };
+    if (comment) responseData.comment = comment;
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    [proposedStart, proposedEnd] = dates.resolveRange('proposedStart', proposedStart, 'proposedEnd', proposedEnd);
+    
+    if (proposedStart || proposedEnd) {
+      if (response === 'accept') {
+        throw new Error('A new time can only be proposed when tentatively accepting or declining');
+      }
+      if (!proposedStart || !proposedEnd) {
+        throw new Error('Both proposedStart and proposedEnd are required to propose a new time');
+      }
+      if (!sendResponse) {
+        throw new Error('Proposing a new time requires sendResponse to be true');
+      }
+      responseData.proposedNewTime = {
+        start: formatDateTimeForGraph(proposedStart, tz),
+        end: formatDateTimeForGraph(proposedEnd, tz)
+      };
+    }
+    
+    await client.api(`${base}/events/${eventId}/${response}`).post(responseData);
+    
+    const labels = { accept: 'accepted', tentativelyAccept: 'tentatively accepted', decline: 'declined' };
+    return {
+      content: [{
+        type: 'text',
+        text: `Meeting ${labels[response]} successfully!${responseData.proposedNewTime ? ' A new time was proposed to the organizer.' : ''}${dates.describe()}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_meeting_requests',
+  {
+    maxItems: z.number().default(100).describe('Number of recent inbox emails to scan for meeting requests'),
+    account: accountParam
+  },
+  async ({ maxItems, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const { items } = await getPagedResults(client, '/me/mailFolders/inbox/messages', {
+      $top: Math.min(maxItems, 50),
+      $select: 'id,subject,from,receivedDateTime',
+      $orderby: 'receivedDateTime DESC'
+    }, { fetchAll: true, maxResults: maxItems });
+    
+    // Meeting requests are eventMessageRequest items among ordinary messages
+    const requests = items.filter(item => item['@odata.type'] === '#microsoft.graph.eventMessageRequest');
+    
+    const meetingRequests = [];
+    for (const request of requests) {
+      const message = await client.api(`/me/messages/${request.id}`)
+        .expand('microsoft.graph.eventMessage/event($select=id,start,end,location,responseStatus)')
+        .get();
+      meetingRequests.push({
+        meetingRequestId: request.id,
+        eventId: message.event?.id,
+        subject: request.subject,
+        organizer: request.from?.emailAddress?.address,
+        received: request.receivedDateTime,
+        start: message.event?.start?.dateTime,
+        end: message.event?.end?.dateTime,
+        location: message.event?.location?.displayName,
+        responseStatus: message.event?.responseStatus?.response
+      });
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(meetingRequests, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_list_event_instances',
+  {
+    seriesMasterId: z.string().describe('The ID of the recurring series (seriesMasterId of any occurrence)'),
+    startDateTime: z.string().optional().describe('Start date/time, ISO or natural language (default: now)'),
+    endDateTime: z.string().optional().describe('End date/time, ISO or natural language (default: 30 days from now)'),
+    limit: z.number().default(20).describe('Maximum number of occurrences to return per page'),
+    calendar: calendarParam,
+    ...paginationParams,
+    account: accountParam
+  },
+  async ({ seriesMasterId, startDateTime, endDateTime, limit, calendar, cursor, fetchAll, maxResults, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    const tz = await getUserTimezone(client, account);
+    const now = new Date();
+    const monthFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    
+    const dates = createDateResolver(tz, now);
+    const [rangeStart, rangeEnd] = dates.resolveRange('startDateTime', startDateTime, 'endDateTime', endDateTime);
+    
+    const { items, nextCursor, truncated } = await getPagedResults(client, `${base}/events/${seriesMasterId}/instances`, {
+      startDateTime: rangeStart ? toUtcInstant(rangeStart, tz).toISOString() : now.toISOString(),
+      endDateTime: rangeEnd ? toUtcInstant(rangeEnd, tz).toISOString() : monthFromNow.toISOString(),
+      $top: limit,
+      $select: 'id,subject,start,end,location,type,isCancelled,showAs'
+    }, { cursor, fetchAll, maxResults });
+    
+    const instances = items.map(event => ({
+      id: event.id,
+      subject: event.subject,
+      start: event.start.dateTime,
+      end: event.end.dateTime,
+      location: event.location?.displayName,
+      type: event.type,
+      isCancelled: event.isCancelled,
+      showAs: event.showAs
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ instances, nextCursor, truncated, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_get_calendar_event',
+  {
+    eventId: z.string().describe('The ID of the event to retrieve'),
+    calendar: calendarParam,
+    account: accountParam
+  },
+  async ({ eventId, calendar, account }) => {
+    const client = await getAuthenticatedClient(account);
+    const { base } = await resolveCalendar(client, calendar);
+    
+    const event = await client.api(`${base}/events/${eventId}`)
+      .select('id,subject,start,end,location,body,organizer,attendees,importance,showAs,categories,type,seriesMasterId,recurrence')
+      .get();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          id: event.id,
+          subject: event.subject,
+          start: event.start.dateTime,
+          end: event.end.dateTime,
+          location: event.location?.displayName,
+          body: event.body?.content,
+          organizer: event.organizer?.emailAddress?.address,
+          attendees: event.attendees?.map(att => ({
+            email: att.emailAddress.address,
+            response: att.status.response
+          })),
+          importance: event.importance,
+          showAs: event.showAs,
+          categories: event.categories,
+          type: event.type,
+          seriesMasterId: event.seriesMasterId,
+          recurrence: event.recurrence
+        }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_find_meeting_times',
+  {
+    attendees: z.array(z.string()).describe('Array of required attendee email addresses'),
+    optionalAttendees: z.array(z.string()).optional().describe('Array of optional attendee email addresses'),
+    durationMinutes: z.number().default(30).describe('Meeting length in minutes'),
+    windowStart: z.string().optional().describe('Earliest start date/time, ISO or natural language like "tomorrow 9am" (default: now)'),
+    windowEnd: z.string().optional().describe('Latest end date/time, ISO or natural language like "end of week" (default: 7 days from now)'),
+    workingHoursOnly: z.boolean().default(true).describe('Only suggest times within attendees\' working hours'),
+    minimumAttendeePercentage: z.number().default(100).describe('Minimum share of attendees (0-100) who must be free for a slot to be suggested'),
+    maxCandidates: z.number().default(10).describe('Maximum number of suggestions to return'),
+    timezone: z.string().optional().describe('Timezone for the window and results. Defaults to your configured or mailbox timezone'),
+    account: accountParam
+  },
+  async ({ attendees, optionalAttendees, durationMinutes, windowStart, windowEnd, workingHoursOnly, minimumAttendeePercentage, maxCandidates, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const now = new Date();
+    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const dates = createDateResolver(tz, now);
+    [windowStart, windowEnd] = dates.resolveRange('windowStart', windowStart, 'windowEnd', windowEnd);
+    
+    const result = await client.api('/me/findMeetingTimes')
+      .header('Prefer', `outlook.timezone="${toWindowsTimezone(tz)}"`)
+      .post({
+        attendees: [
+          ...attendees.map(email => ({ type: 'required', emailAddress: { address: email } })),
+          ...(optionalAttendees || []).map(email => ({ type: 'optional', emailAddress: { address: email } }))
+        ],
+        timeConstraint: {
+          activityDomain: workingHoursOnly ? 'work' : 'unrestricted',
+          timeSlots: [{
+            start: formatDateTimeForGraph(windowStart || now.toISOString(), tz),
+            end: formatDateTimeForGraph(windowEnd || weekFromNow.toISOString(), tz)
+          }]
+        },
+        meetingDuration: `PT${durationMinutes}M`,
+        maxCandidates,
+        minimumAttendeePercentage,
+        returnSuggestionReasons: true
+      });
+    
+    const suggestions = result.meetingTimeSuggestions
+      .sort((a, b) => b.confidence - a.confidence)
+      .map((suggestion, index) => ({
+        rank: index + 1,
+        start: suggestion.meetingTimeSlot.start.dateTime,
+        end: suggestion.meetingTimeSlot.end.dateTime,
+        timeZone: suggestion.meetingTimeSlot.start.timeZone,
+        confidence: suggestion.confidence,
+        organizerAvailability: suggestion.organizerAvailability,
+        attendees: suggestion.attendeeAvailability?.map(availability => ({
+          email: availability.attendee.emailAddress.address,
+          availability: availability.availability
+        })),
+        reason: suggestion.suggestionReason
+      }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          suggestions,
+          emptySuggestionsReason: result.emptySuggestionsReason || undefined,
+          resolvedDates: dates.resolved.length ? dates.resolved : undefined
+        }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_get_free_busy',
+  {
+    emails: z.array(z.string()).describe('Email addresses of the people (or rooms) to check'),
+    start: z.string().describe('Start date/time, ISO or natural language; a range like "tomorrow 9am-5pm" also sets the end'),
+    end: z.string().optional().describe('End date/time, ISO or natural language. Not needed when start is a time range'),
+    intervalMinutes: z.number().default(30).describe('Length of each slot in the availability view'),
+    timezone: z.string().optional().describe('Timezone for the range and results. Defaults to your configured or mailbox timezone'),
+    account: accountParam
+  },
+  async ({ emails, start, end, intervalMinutes, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    [start, end] = dates.resolveRange('start', start, 'end', end);
+    if (!end) {
+      throw new Error('end is required unless start gives a time range such as "tomorrow 9am-5pm"');
+    }
+    
+    const result = await client.api('/me/calendar/getSchedule')
+      .header('Prefer', `outlook.timezone="${toWindowsTimezone(tz)}"`)
+      .post({
+        schedules: emails,
+        startTime: formatDateTimeForGraph(start, tz),
+        endTime: formatDateTimeForGraph(end, tz),
+        availabilityViewInterval: intervalMinutes
+      });
+    
+    // availabilityView has one digit per slot: 0 free, 1 tentative, 2 busy, 3 out of office, 4 working elsewhere
+    const schedules = result.value.map(schedule => ({
+      email: schedule.scheduleId,
+      availabilityView: schedule.availabilityView,
+      busy: schedule.scheduleItems?.map(item => ({
+        status: item.status,
+        start: item.start.dateTime,
+        end: item.end.dateTime,
+        subject: item.subject
+      })),
+      workingHours: schedule.workingHours && {
+        days: schedule.workingHours.daysOfWeek,
+        start: schedule.workingHours.startTime,
+        end: schedule.workingHours.endTime,
+        timeZone: schedule.workingHours.timeZone?.name
+      },
+      error: schedule.error?.message
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ timeZone: tz, intervalMinutes, schedules, resolvedDates: dates.resolved.length ? dates.resolved : undefined }, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_export_events',
+  {
+    startDateTime: z.string().optional().describe('Start of the range, ISO or natural language like "monday" (default: now)'),
+    endDateTime: z.string().optional().describe('End of the range, ISO or natural language like "end of month" (default: 7 days from now)'),
+    calendar: calendarParam,
+    savePath: z.string().optional().describe('File path to write the .ics to (e.g., "~/calendar.ics"); the iCalendar text is returned otherwise'),
+    account: accountParam
+  },
+  async ({ startDateTime, endDateTime, calendar, savePath, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const tz = await getUserTimezone(client, account);
+    const now = new Date();
+    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    
+    const dates = createDateResolver(tz, now);
+    const [rangeStart, rangeEnd] = dates.resolveRange('startDateTime', startDateTime, 'endDateTime', endDateTime);
+    
+    // Plain-text bodies make readable descriptions; replacing the timezone preference means times come back in UTC
+    const headers = { Prefer: 'outlook.body-content-type="text"' };
+    const source = await resolveCalendar(client, calendar);
+    const startInstant = rangeStart ? toUtcInstant(rangeStart, tz) : now;
+    const endInstant = rangeEnd ? toUtcInstant(rangeEnd, tz) : weekFromNow;
+    const { items, truncated } = await getPagedResults(client, `${source.base}/calendarView`, {
+      startDateTime: startInstant.toISOString(),
+      endDateTime: endInstant.toISOString(),
+      $top: 100,
+      $select: ICAL_EVENT_SELECT
+    }, { fetchAll: true, headers });
+    
+    // Occurrences are covered by their series' RRULE, so each series master is exported once in their place
+    const masters = new Map();
+    for (const event of items) {
+      if (event.seriesMasterId && !masters.has(event.seriesMasterId)) {
+        masters.set(event.seriesMasterId, await client.api(`${source.base}/events/${event.seriesMasterId}`)
+          .headers(headers)
+          .select(`${ICAL_EVENT_SELECT},recurrence`)
+          .get());
+      }
+    }
+    
+    const ics = serializeICalendar([
+      ...items.filter(event => event.type === 'singleInstance').map(event => ({ event })),
+      // Deleted and cancelled occurrences are excluded from the rule; a truncated range can't tell them from unfetched ones
+      ...[...masters.values()].map(event => ({
+        event,
+        exdates: truncated ? [] : findDeletedOccurrences(event, items, { rangeStart: startInstant, rangeEnd: endInstant, timeZone: tz })
+      })),
+      // Modified occurrences share their series' UID and point back at the original start with RECURRENCE-ID
+      ...items.filter(event => event.type === 'exception' && !event.isCancelled).map(event => ({ event, uid: masters.get(event.seriesMasterId)?.iCalUId }))
+    ], { timeZone: tz, now });
+    
+    const summary = `${items.filter(event => event.type === 'singleInstance').length} event(s) and ${masters.size} recurring series${truncated ? ' (truncated: narrow the date range to export everything)' : ''}`;
+    
+    if (savePath) {
+      const filePath = expandHomePath(savePath);
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, ics, 'utf8');
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Exported ${summary} to ${filePath}${dates.describe()}`
+        }]
+      };
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Exported ${summary}${dates.describe()}\n\n${ics}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_import_ics',
+  {
+    path: z.string().optional().describe('Path to an .ics file'),
+    emailId: z.string().optional().describe('ID of an email with an .ics attachment (alternative to path)'),
+    attachmentId: z.string().optional().describe('Attachment to import from the email (defaults to its first .ics or text/calendar attachment)'),
+    calendar: calendarParam,
+    timezone: z.string().optional().describe('Timezone for floating times and unrecognised TZIDs in the file. Defaults to your configured or mailbox timezone'),
+    includeAttendees: z.boolean().default(false).describe('Add the attendees from the file, which sends each of them an invitation from you'),
+    checkConflicts: z.boolean().default(false).describe('Report imported events that overlap busy, tentative or out-of-office events already in your calendar'),
+    dryRun: z.boolean().default(false).describe('Report what would be imported without creating anything'),
+    account: accountParam
+  },
+  async ({ path, emailId, attachmentId, calendar, timezone, includeAttendees, checkConflicts, dryRun, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    if (!path === !emailId) {
+      throw new Error('Provide either path or emailId');
+    }
+    
+    let text;
+    if (path) {
+      text = readFileSync(expandHomePath(path), 'utf8');
+    } else {
+      if (!attachmentId) {
+        const { items } = await getPagedResults(client, `/me/messages/${emailId}/attachments`, {
+          $select: 'id,name,contentType',
+          $top: 50
+        }, { fetchAll: true });
+        const match = items.find(item => /\.ics$/i.test(item.name || '') || /^text\/calendar/i.test(item.contentType || ''));
+        if (!match) {
+          throw new Error('No .ics attachment found on this email. Use outlook_read_email to see its attachments.');
+        }
+        attachmentId = match.id;
+      }
+      const attachment = await client.api(`/me/messages/${emailId}/attachments/${attachmentId}`).get();
+      if (getAttachmentKind(attachment) !== 'file') {
+        throw new Error(`Attachment "${attachment.name}" is not a file attachment`);
+      }
+      text = Buffer.from(attachment.contentBytes || '', 'base64').toString('utf8');
+    }
+    
+    const calendars = parseICalendar(text);
+    const vevents = calendars.flatMap(ical => ical.components.filter(component => component.name === 'VEVENT').map(vevent => ({ vevent, ical })));
+    if (vevents.length === 0) {
+      throw new Error('No events (VEVENT) found in the iCalendar data');
+    }
+    
+    const notes = [];
+    for (const ical of calendars) {
+      const method = getICalProperty(ical, 'METHOD')?.value.trim().toUpperCase();
+      if (method && !['PUBLISH', 'REQUEST'].includes(method)) {
+        notes.push(`METHOD:${method} is not applied; the events are imported as new events`);
+      }
+      const others = ical.components.filter(component => !['VEVENT', 'VTIMEZONE'].includes(component.name));
+      for (const name of new Set(others.map(component => component.name))) {
+        notes.push(`Skipped ${others.filter(component => component.name === name).length} ${name} component(s)`);
+      }
+    }
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const report = [];
+    
+    for (const [index, { vevent, ical }] of vevents.entries()) {
+      const entry = { event: index + 1 };
+      try {
+        const details = icalEventToDetails(vevent, ical, tz);
+        Object.assign(entry, { subject: details.subject, start: details.start, timeZone: details.timeZone });
+        
+        if (details.recurrenceId) {
+          entry.status = 'skipped';
+          entry.reason = 'Modified occurrence of a recurring event (RECURRENCE-ID); only the series itself is imported';
+        } else if (details.cancelled) {
+          entry.status = 'skipped';
+          entry.reason = 'Cancelled in the source calendar';
+        } else {
+          if (details.organizer) {
+            details.unmapped.push(`ORGANIZER ${details.organizer}; imported events are organized by you`);
+          }
+          if (details.attendees && !includeAttendees) {
+            details.unmapped.push(`${details.attendees.length} attendee(s) left off; set includeAttendees to invite them`);
+          }
+          
+          entry.status = 'created';
+          if (!dryRun) {
+            const { result, conflicts } = await createCalendarEvent(client, {
+              ...details,
+              attendees: includeAttendees ? details.attendees : undefined,
+              calendar,
+              checkConflicts,
+              failOnConflict: false,
+              flagBackToBack: false,
+              bufferMinutes: 0
+            });
+            entry.eventId = result.id;
+            entry.conflicts = conflicts.length ? conflicts : undefined;
+          }
+        }
+        entry.unmapped = details.unmapped.length ? details.unmapped : undefined;
+      } catch (e) {
+        entry.status = 'failed';
+        entry.reason = e.message;
+      }
+      report.push(entry);
+    }
+    
+    const counts = report.reduce((totals, entry) => ({ ...totals, [entry.status]: (totals[entry.status] || 0) + 1 }), {});
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ dryRun, counts, notes: notes.length ? notes : undefined, events: report }, null, 2)
+      }]
+    };
+  }
+);
+
+// ================================
+// TASK MANAGEMENT TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_task_lists',
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    // Listing is an explicit request for fresh data
+    clearTaskListCache(account);
+    const lists = await getTaskLists(client, account);
+    
+    const formattedLists = lists.map(list => ({
+      id: list.id,
+      name: list.displayName,
+      isDefault: list.wellknownListName === 'defaultList',
+      wellknownListName: list.wellknownListName,
+      isOwner: list.isOwner,
+      isShared: list.isShared
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(formattedLists, null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_create_task_list',
+  {
+    name: z.string().describe('Name of the new task list'),
+    account: accountParam
+  },
+  async ({ name, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const result = await client.api('/me/todo/lists').post({ displayName: name });
+    clearTaskListCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Task list "${result.displayName}" created successfully! List ID: ${result.id}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_rename_task_list',
+  {
+    list: z.string().describe('ID or current name of the task list to rename'),
+    newName: z.string().describe('New name for the task list'),
+    account: accountParam
+  },
+  async ({ list, newName, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const listId = await resolveTaskListId(client, list, account);
+    await client.api(`/me/todo/lists/${listId}`).patch({ displayName: newName });
+    clearTaskListCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Task list renamed to "${newName}" successfully!`
+      }]
+    };
+  }
+);
 
-// Authentication
 server.tool(
-  'outlook_auth',
+  'outlook_delete_task_list',
   {
-    authCode: z.string().optional().describe('Authorization code from OAuth flow (leave empty to get auth URL)')
+    list: z.string().describe('ID or name of the task list to delete, along with all its tasks'),
+    account: accountParam
   },
-  async ({ authCode }) => {
-    if (!authCode) {
-      const authUrl = await msalClient.getAuthCodeUrl({
-        scopes: ['https://graph.microsoft.com/.default', 'offline_access'],
-        redirectUri: 'http://localhost:8080/callback'
-      });
-      return {
-        content: [{
-          type: 'text',
-          text: `Please visit this URL to authenticate:\n${authUrl}\n\nThen call this tool again with the 'code' parameter from the redirect URL.`
-        }]
-      };
-    } else {
-      const result = await msalClient.acquireTokenByCode({
-        code: authCode,
-        scopes: ['https://graph.microsoft.com/.default', 'offline_access'],
-        redirectUri: 'http://localhost:8080/callback'
-      });
-      
-      tokenCache = {
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken,
-        expiresOn: result.expiresOn
-      };
-      saveTokenCache();
-      
-      return {
-        content: [{
-          type: 'text',
-          text: 'Authentication successful! You can now use other Outlook tools.'
-        }]
-      };
+  async ({ list, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    const listId = await resolveTaskListId(client, list, account);
+    const taskList = (await getTaskLists(client, account)).find(item => item.id === listId);
+    if (taskList.wellknownListName === 'defaultList') {
+      throw new Error('The default task list cannot be deleted');
     }
+    
+    await client.api(`/me/todo/lists/${listId}`).delete();
+    clearTaskListCache(account);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Task list "${taskList.displayName}" deleted successfully!`
+      }]
+    };
   }
 );
 
-// ================================
-// EMAIL MANAGEMENT TOOLS
-// ================================
-
 server.tool(
-  'outlook_list_emails',
+  'outlook_list_tasks',
   {
-    folder: z.string().default('inbox').describe('Folder to list emails from (default: inbox)'),
-    limit: z.number().default(10).describe('Maximum number of emails to return'),
-    search: z.string().optional().describe('Search query to filter emails')
+    completed: z.boolean().optional().describe('Filter by completion status'),
+    limit: z.number().default(20).describe('Maximum number of tasks to return per page'),
+    list: taskListParam,
+    ...paginationParams,
+    account: accountParam
   },
-  async ({ folder, limit, search }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ completed, limit, list, cursor, fetchAll, maxResults, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    let endpoint = `/me/mailFolders/${folder}/messages`;
-    let query = {
+    const listId = await resolveTaskListId(client, list, account);
+    let tasksQuery = {
       $top: limit,
-      $select: 'id,subject,from,receivedDateTime,bodyPreview,isRead,importance,hasAttachments',
-      $orderby: 'receivedDateTime DESC'
+      $select: 'id,title,body,dueDateTime,importance,status,isReminderOn,reminderDateTime,recurrence,completedDateTime,createdDateTime',
+      $expand: 'linkedResources'
     };
     
-    if (search) {
-      query.$search = `"${search}"`;
+    if (completed !== undefined) {
+      tasksQuery.$filter = completed ? 'status eq \'completed\'' : 'status ne \'completed\'';
     }
     
-    const result = await client.api(endpoint).query(query).get();
+    const { items, nextCursor, truncated } = await getPagedResults(client, `/me/todo/lists/${listId}/tasks`, tasksQuery, { cursor, fetchAll, maxResults });
     
-    const emails = result.value.map(email => ({
-      id: email.id,
-      subject: email.subject,
-      from: email.from?.emailAddress?.address || 'Unknown',
-      received: email.receivedDateTime,
-      preview: email.bodyPreview,
-      isRead: email.isRead,
-      importance: email.importance,
-      hasAttachments: email.hasAttachments
-    }));
+    const formattedTasks = items.map(formatTask);
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(emails, null, 2)
+        text: JSON.stringify({ listId, tasks: formattedTasks, nextCursor, truncated }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_read_email',
+  'outlook_create_task',
   {
-    emailId: z.string().describe('The ID of the email to read')
+    title: z.string().describe('Task title'),
+    body: z.string().optional().describe('Task description'),
+    dueDateTime: z.string().optional().describe('Due date/time, ISO or natural language like "friday" or "end of month"'),
+    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Task importance level'),
+    reminderDateTime: z.string().optional().describe('When to be reminded, ISO or natural language like "tomorrow 9am"'),
+    recurrence: recurrenceSchema.optional().describe('Repeat the task (requires dueDateTime; the series starts on the due date)'),
+    checklist: z.array(z.string()).optional().describe('Checklist (subtask) items to add to the task'),
+    list: taskListParam,
+    timezone: z.string().optional().describe('Timezone for the due and reminder dates. Defaults to your configured or mailbox timezone'),
+    account: accountParam
   },
-  async ({ emailId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ title, body, dueDateTime, importance, reminderDateTime, recurrence, checklist, list, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const email = await client.api(`/me/messages/${emailId}`)
-      .select('subject,from,to,cc,bcc,receivedDateTime,body,attachments,importance,categories')
-      .expand('attachments')
-      .get();
+    const listId = await resolveTaskListId(client, list, account);
+    
+    const task = {
+      title,
+      importance
+    };
+    
+    if (body) {
+      task.body = {
+        content: body,
+        contentType: 'text'
+      };
+    }
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    if (dueDateTime) {
+      task.dueDateTime = formatDateTimeForGraph(dates.resolve('dueDateTime', dueDateTime), tz);
+    }
+    
+    if (reminderDateTime) {
+      task.isReminderOn = true;
+      task.reminderDateTime = formatDateTimeForGraph(dates.resolve('reminderDateTime', reminderDateTime), tz);
+    }
+    
+    if (recurrence) {
+      if (!task.dueDateTime) {
+        throw new Error('A recurring task needs a dueDateTime');
+      }
+      task.recurrence = buildRecurrence(recurrence, task.dueDateTime.dateTime, tz);
+    }
+    
+    let result = await client.api(`/me/todo/lists/${listId}/tasks`).post(task);
+    
+    if (checklist?.length) {
+      for (const displayName of checklist) {
+        await client.api(`/me/todo/lists/${listId}/tasks/${result.id}/checklistItems`).post({ displayName });
+      }
+      result = await client.api(`/me/todo/lists/${listId}/tasks/${result.id}`).expand('checklistItems').get();
+    }
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify({
-          subject: email.subject,
-          from: email.from?.emailAddress?.address,
-          to: email.to?.map(r => r.emailAddress.address),
-          cc: email.cc?.map(r => r.emailAddress.address),
-          bcc: email.bcc?.map(r => r.emailAddress.address),
-          received: email.receivedDateTime,
-          body: email.body.content,
-          importance: email.importance,
-          categories: email.categories,
-          attachments: email.attachments?.map(att => ({
-            name: att.name,
-            size: att.size,
-            contentType: att.contentType
-          }))
-        }, null, 2)
+        text: `Task created successfully!\n${JSON.stringify({ listId, ...formatTask(result) }, null, 2)}${dates.describe()}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_send_email',
+  'outlook_create_task_from_email',
   {
-    to: z.array(z.string()).describe('Array of recipient email addresses'),
-    subject: z.string().describe('Email subject'),
-    body: z.string().describe('Email body (HTML supported)'),
-    cc: z.array(z.string()).optional().describe('Array of CC email addresses'),
-    bcc: z.array(z.string()).optional().describe('Array of BCC email addresses'),
-    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Email importance level')
+    emailId: z.string().describe('The ID of the email to turn into a task'),
+    title: z.string().optional().describe('Task title (defaults to the email subject)'),
+    dueDateTime: z.string().optional().describe('Due date/time, ISO or natural language like "friday"'),
+    importance: z.enum(['low', 'normal', 'high']).optional().describe('Task importance (defaults to the email importance)'),
+    flagEmail: z.boolean().default(false).describe('Also flag the email for follow-up, with the same due date'),
+    maxBodyLength: z.number().default(TASK_BODY_MAX_LENGTH).describe('Maximum number of characters of the email body copied into the task'),
+    list: taskListParam,
+    timezone: z.string().optional().describe('Timezone for the due date. Defaults to your configured or mailbox timezone'),
+    account: accountParam
   },
-  async ({ to, subject, body, cc, bcc, importance }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ emailId, title, dueDateTime, importance, flagEmail, maxBodyLength, list, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const message = {
-      subject,
+    const listId = await resolveTaskListId(client, list, account);
+    const message = await client.api(`/me/messages/${emailId}`)
+      .header('Prefer', 'outlook.body-content-type="text"')
+      .select('id,subject,from,receivedDateTime,importance,body,webLink')
+      .get();
+    
+    // Keep the new part of the message; quoted history is one click away through the link
+    let body = collapseQuotedText(message.body?.content);
+    if (body.length > maxBodyLength) {
+      body = `${body.slice(0, maxBodyLength).trimEnd()}…`;
+    }
+    const sender = message.from?.emailAddress;
+    const header = `From: ${sender?.name || ''} <${sender?.address || ''}>\nReceived: ${message.receivedDateTime}`;
+    
+    const task = {
+      title: title || message.subject || '(no subject)',
+      importance: importance || message.importance,
       body: {
-        contentType: 'HTML',
-        content: body
+        content: `${header}\n\n${body}`,
+        contentType: 'text'
       },
-      importance,
-      toRecipients: to.map(email => ({
-        emailAddress: { address: email }
-      }))
+      linkedResources: [{
+        applicationName: LINKED_EMAIL_APPLICATION,
+        displayName: message.subject || '(no subject)',
+        externalId: message.id,
+        webUrl: message.webLink
+      }]
     };
     
-    if (cc) {
-      message.ccRecipients = cc.map(email => ({
-        emailAddress: { address: email }
-      }));
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    if (dueDateTime) {
+      task.dueDateTime = formatDateTimeForGraph(dates.resolve('dueDateTime', dueDateTime), tz);
     }
     
-    if (bcc) {
-      message.bccRecipients = bcc.map(email => ({
-        emailAddress: { address: email }
-      }));
+    const result = await client.api(`/me/todo/lists/${listId}/tasks`).post(task);
+    
+    let flagNote = '';
+    if (flagEmail) {
+      const flag = { flagStatus: 'flagged' };
+      if (task.dueDateTime) {
+        // Graph only accepts a due date together with a start date, and not one after it
+        const dueDayStart = `${task.dueDateTime.dateTime.slice(0, 10)}T00:00:00`;
+        const now = utcToZonedDateTime(new Date(), tz);
+        flag.startDateTime = formatDateTimeForGraph(dueDayStart < now ? dueDayStart : now, tz);
+        flag.dueDateTime = task.dueDateTime;
+      }
+      // The task already exists, so a failed flag is reported rather than thrown
+      try {
+        await client.api(`/me/messages/${emailId}`).patch({ flag });
+        flagNote = ' The email has been flagged.';
+      } catch (e) {
+        flagNote = ` Flagging the email failed: ${e.message}`;
+      }
     }
     
-    await client.api('/me/sendMail').post({ message });
+    // The create response doesn't always echo navigation properties back
+    const created = formatTask({ ...result, linkedResources: result.linkedResources || task.linkedResources });
     
     return {
       content: [{
         type: 'text',
-        text: 'Email sent successfully!'
+        text: `Task created from email successfully!${flagNote}\n${JSON.stringify({ listId, ...created }, null, 2)}${dates.describe()}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_reply_email',
+  'outlook_update_task',
   {
-    emailId: z.string().describe('The ID of the email to reply to'),
-    body: z.string().describe('Reply body (HTML supported)'),
-    replyAll: z.boolean().default(false).describe('Whether to reply to all recipients')
+    taskId: z.string().describe('The ID of the task to update'),
+    title: z.string().optional().describe('Updated task title'),
+    body: z.string().optional().describe('Updated task description'),
+    dueDateTime: z.string().optional().describe('Updated due date/time, ISO or natural language'),
+    importance: z.enum(['low', 'normal', 'high']).optional().describe('Updated task importance'),
+    status: z.enum(['notStarted', 'inProgress', 'completed', 'waitingOnOthers', 'deferred']).optional().describe('Updated task status'),
+    reminderDateTime: z.string().optional().describe('Updated reminder date/time, ISO or natural language'),
+    isReminderOn: z.boolean().optional().describe('Turn the reminder on or off'),
+    recurrence: recurrenceSchema.optional().describe('Updated repeat pattern (the series starts on the due date)'),
+    list: taskListParam,
+    timezone: z.string().optional().describe('Timezone for the due and reminder dates. Defaults to your configured or mailbox timezone'),
+    account: accountParam
   },
-  async ({ emailId, body, replyAll }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ taskId, title, body, dueDateTime, importance, status, reminderDateTime, isReminderOn, recurrence, list, timezone, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const replyData = {
-      message: {
-        body: {
-          contentType: 'HTML',
-          content: body
-        }
+    const listId = await resolveTaskListId(client, list, account);
+    
+    const tz = await resolveTimezone(client, timezone, account);
+    const dates = createDateResolver(tz);
+    const updateData = {};
+    
+    if (title) updateData.title = title;
+    if (body) updateData.body = { content: body, contentType: 'text' };
+    if (dueDateTime) updateData.dueDateTime = formatDateTimeForGraph(dates.resolve('dueDateTime', dueDateTime), tz);
+    if (importance) updateData.importance = importance;
+    if (status) updateData.status = status;
+    if (reminderDateTime) {
+      updateData.isReminderOn = true;
+      updateData.reminderDateTime = formatDateTimeForGraph(dates.resolve('reminderDateTime', reminderDateTime), tz);
+    }
+    if (isReminderOn !== undefined) updateData.isReminderOn = isReminderOn;
+    
+    if (recurrence) {
+      // The series start date defaults to the task's current due date
+      const dueDate = updateData.dueDateTime?.dateTime
+        || (await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).select('dueDateTime').get()).dueDateTime?.dateTime;
+      if (!dueDate) {
+        throw new Error('A recurring task needs a dueDateTime');
       }
+      updateData.recurrence = buildRecurrence(recurrence, dueDate, tz);
+    }
+    
+    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).patch(updateData);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Task updated successfully!${dates.describe()}`
+      }]
     };
+  }
+);
+
+server.tool(
+  'outlook_delete_task',
+  {
+    taskId: z.string().describe('The ID of the task to delete'),
+    list: taskListParam,
+    account: accountParam
+  },
+  async ({ taskId, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const endpoint = replyAll ? `/me/messages/${emailId}/replyAll` : `/me/messages/${emailId}/reply`;
-    await client.api(endpoint).post(replyData);
+    const listId = await resolveTaskListId(client, list, account);
+    
+    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).delete();
     
     return {
       content: [{
         type: 'text',
-        text: `Email ${replyAll ? 'reply all' : 'reply'} sent successfully!`
+        text: 'Task deleted successfully!'
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_forward_email',
+  'outlook_complete_task',
   {
-    emailId: z.string().describe('The ID of the email to forward'),
-    to: z.array(z.string()).describe('Array of recipient email addresses'),
-    body: z.string().optional().describe('Additional message body (HTML supported)')
+    taskId: z.string().describe('The ID of the task to mark as completed'),
+    list: taskListParam,
+    account: accountParam
   },
-  async ({ emailId, to, body }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ taskId, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const forwardData = {
-      message: {
-        toRecipients: to.map(email => ({
-          emailAddress: { address: email }
-        }))
-      }
+    const listId = await resolveTaskListId(client, list, account);
+    
+    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).patch({
+      status: 'completed'
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: 'Task marked as completed successfully!'
+      }]
     };
+  }
+);
+
+server.tool(
+  'outlook_list_checklist_items',
+  {
+    taskId: z.string().describe('The ID of the task'),
+    list: taskListParam,
+    account: accountParam
+  },
+  async ({ taskId, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (body) {
-      forwardData.message.body = {
-        contentType: 'HTML',
-        content: body
-      };
-    }
+    const listId = await resolveTaskListId(client, list, account);
+    const { items } = await getPagedResults(client, `/me/todo/lists/${listId}/tasks/${taskId}/checklistItems`, {}, { fetchAll: true });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(items.map(formatChecklistItem), null, 2)
+      }]
+    };
+  }
+);
+
+server.tool(
+  'outlook_add_checklist_item',
+  {
+    taskId: z.string().describe('The ID of the task'),
+    displayName: z.string().describe('Text of the checklist item'),
+    isChecked: z.boolean().default(false).describe('Whether the item starts checked'),
+    list: taskListParam,
+    account: accountParam
+  },
+  async ({ taskId, displayName, isChecked, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/messages/${emailId}/forward`).post(forwardData);
+    const listId = await resolveTaskListId(client, list, account);
+    const result = await client.api(`/me/todo/lists/${listId}/tasks/${taskId}/checklistItems`).post({ displayName, isChecked });
     
     return {
       content: [{
         type: 'text',
-        text: 'Email forwarded successfully!'
+        text: `Checklist item added successfully! Item ID: ${result.id}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_delete_email',
+  'outlook_update_checklist_item',
   {
-    emailId: z.string().describe('The ID of the email to delete')
+    taskId: z.string().describe('The ID of the task'),
+    checklistItemId: z.string().describe('The ID of the checklist item to update'),
+    displayName: z.string().optional().describe('Updated text of the item'),
+    isChecked: z.boolean().optional().describe('Check or uncheck the item'),
+    list: taskListParam,
+    account: accountParam
   },
-  async ({ emailId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ taskId, checklistItemId, displayName, isChecked, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/messages/${emailId}`).delete();
+    const listId = await resolveTaskListId(client, list, account);
+    
+    const updateData = {};
+    if (displayName) updateData.displayName = displayName;
+    if (isChecked !== undefined) updateData.isChecked = isChecked;
+    
+    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}/checklistItems/${checklistItemId}`).patch(updateData);
     
     return {
       content: [{
         type: 'text',
-        text: 'Email deleted successfully!'
+        text: 'Checklist item updated successfully!'
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_mark_email_read',
+  'outlook_delete_checklist_item',
   {
-    emailId: z.string().describe('The ID of the email to mark as read/unread'),
-    isRead: z.boolean().describe('Whether to mark as read (true) or unread (false)')
+    taskId: z.string().describe('The ID of the task'),
+    checklistItemId: z.string().describe('The ID of the checklist item to delete'),
+    list: taskListParam,
+    account: accountParam
   },
-  async ({ emailId, isRead }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ taskId, checklistItemId, list, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/messages/${emailId}`).patch({ isRead });
+    const listId = await resolveTaskListId(client, list, account);
+    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}/checklistItems/${checklistItemId}`).delete();
     
     return {
       content: [{
         type: 'text',
-        text: `Email marked as ${isRead ? 'read' : 'unread'} successfully!`
+        text: 'Checklist item deleted successfully!'
+      }]
+    };
+  }
+);
+
+// ================================
+// CONTACT MANAGEMENT TOOLS
+// ================================
+
+server.tool(
+  'outlook_list_contacts',
+  {
+    limit: z.number().default(50).describe('Maximum number of contacts to return per page'),
+    search: z.string().optional().describe('Search query to filter contacts'),
+    folder: z.string().optional().describe('Contact folder name or ID (defaults to your main contacts)'),
+    ...paginationParams,
+    account: accountParam
+  },
+  async ({ limit, search, folder, cursor, fetchAll, maxResults, account }) => {
+    const client = await getAuthenticatedClient(account);
+    
+    let query = {
+      $top: limit,
+      $select: 'id,displayName,emailAddresses,businessPhones,homePhones,mobilePhone,companyName,jobTitle,categories'
+    };
+    
+    if (search) {
+      const term = quoteODataString(search);
+      query.$filter = `startswith(displayName,${term}) or startswith(givenName,${term}) or startswith(surname,${term})`;
+    }
+    
+    const base = await resolveContactFolderBase(client, folder);
+    const { items, nextCursor, truncated } = await getPagedResults(client, `${base}/contacts`, query, { cursor, fetchAll, maxResults });
+    
+    const formattedContacts = items.map(contact => ({
+      id: contact.id,
+      name: contact.displayName,
+      emails: contact.emailAddresses?.map(e => e.address),
+      phones: formatContactPhones(contact),
+      company: contact.companyName,
+      jobTitle: contact.jobTitle,
+      categories: contact.categories
+    }));
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ contacts: formattedContacts, nextCursor, truncated }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_move_email',
+  'outlook_get_contact',
   {
-    emailId: z.string().describe('The ID of the email to move'),
-    destinationFolder: z.string().describe('Name of the destination folder (e.g., "junk", "archive", "drafts")')
+    contactId: z.string().describe('The ID of the contact to retrieve'),
+    account: accountParam
   },
-  async ({ emailId, destinationFolder }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    // Get folder ID by name
-    const folders = await client.api('/me/mailFolders').get();
-    const targetFolder = folders.value.find(f => 
-      f.displayName.toLowerCase() === destinationFolder.toLowerCase()
-    );
+  async ({ contactId, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (!targetFolder) {
-      throw new Error(`Folder "${destinationFolder}" not found`);
-    }
-    
-    await client.api(`/me/messages/${emailId}/move`).post({
-      destinationId: targetFolder.id
-    });
+    const contact = await client.api(`/me/contacts/${contactId}`).select(CONTACT_SELECT).get();
     
     return {
       content: [{
         type: 'text',
-        text: `Email moved to ${destinationFolder} successfully!`
+        text: JSON.stringify(formatContact(contact), null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_list_folders',
-  {},
-  async () => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  'outlook_create_contact',
+  {
+    displayName: z.string().describe('Contact display name'),
+    emailAddress: z.string().optional().describe('Primary email address'),
+    phoneNumber: z.string().optional().describe('Primary (mobile) phone number'),
+    ...contactFieldsSchema,
+    folder: z.string().optional().describe('Contact folder name or ID to create the contact in'),
+    account: accountParam
+  },
+  async ({ displayName, emailAddress, phoneNumber, folder, account, ...fields }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const folders = await client.api('/me/mailFolders')
-      .select('id,displayName,totalItemCount,unreadItemCount')
-      .get();
+    // emailAddress and phoneNumber are shorthands for the first email and the mobile number
+    if (emailAddress) {
+      fields.emailAddresses = [emailAddress, ...(fields.emailAddresses || []).filter(address => address !== emailAddress)];
+      if (fields.emailAddresses.length > MAX_CONTACT_EMAILS) {
+        throw new Error(`A contact can have at most ${MAX_CONTACT_EMAILS} email addresses`);
+      }
+    }
+    if (phoneNumber && !fields.mobilePhone) {
+      fields.mobilePhone = phoneNumber;
+    }
     
-    const folderList = folders.value.map(folder => ({
-      id: folder.id,
-      name: folder.displayName,
-      totalItems: folder.totalItemCount,
-      unreadItems: folder.unreadItemCount
-    }));
+    const contact = {
+      displayName,
+      ...buildContactFields(fields, displayName)
+    };
+    
+    const base = await resolveContactFolderBase(client, folder);
+    const result = await client.api(`${base}/contacts`).post(contact);
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(folderList, null, 2)
+        text: `Contact created successfully!\n${JSON.stringify(formatContact(result), null, 2)}`
       }]
     };
   }
 );
 
-// ================================
-// CALENDAR MANAGEMENT TOOLS
-// ================================
-
 server.tool(
-  'outlook_list_calendar_events',
+  'outlook_update_contact',
   {
-    startDateTime: z.string().optional().describe('Start date/time in ISO format (default: now)'),
-    endDateTime: z.string().optional().describe('End date/time in ISO format (default: 7 days from now)'),
-    limit: z.number().default(20).describe('Maximum number of events to return')
+    contactId: z.string().describe('The ID of the contact to update'),
+    displayName: z.string().optional().describe('Updated display name'),
+    ...contactFieldsSchema,
+    account: accountParam
   },
-  async ({ startDateTime, endDateTime, limit }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const now = new Date();
-    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+  async ({ contactId, displayName, account, ...fields }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const start = startDateTime || now.toISOString();
-    const end = endDateTime || weekFromNow.toISOString();
+    const updateData = buildContactFields(fields, displayName);
+    if (displayName) updateData.displayName = displayName;
     
-    const events = await client.api('/me/calendarView')
-      .query({
-        startDateTime: start,
-        endDateTime: end,
-        $top: limit,
-        $select: 'id,subject,start,end,location,bodyPreview,organizer,attendees,importance,showAs,isAllDay',
-        $orderby: 'start/dateTime'
-      })
-      .get();
+    if (Object.keys(updateData).length === 0) {
+      throw new Error('Nothing to update: pass at least one field');
+    }
     
-    const formattedEvents = events.value.map(event => ({
-      id: event.id,
-      subject: event.subject,
-      start: {
-        dateTime: event.start.dateTime,
-        timeZone: event.start.timeZone
-      },
-      end: {
-        dateTime: event.end.dateTime,
-        timeZone: event.end.timeZone
-      },
-      location: event.location?.displayName,
-      preview: event.bodyPreview,
-      organizer: event.organizer?.emailAddress?.address,
-      attendees: event.attendees?.map(att => att.emailAddress.address),
-      importance: event.importance,
-      showAs: event.showAs,
-      isAllDay: event.isAllDay
-    }));
+    const result = await client.api(`/me/contacts/${contactId}`).patch(updateData);
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(formattedEvents, null, 2)
+        text: `Contact updated successfully!\n${JSON.stringify(formatContact(result), null, 2)}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_create_calendar_event',
+  'outlook_delete_contact',
   {
-    subject: z.string().describe('Event subject/title'),
-    start: z.string().describe('Start date/time in ISO format (YYYY-MM-DDTHH:mm:ss or YYYY-MM-DD for all-day)'),
-    end: z.string().describe('End date/time in ISO format (YYYY-MM-DDTHH:mm:ss or YYYY-MM-DD for all-day)'),
-    body: z.string().optional().describe('Event description/body'),
-    location: z.string().optional().describe('Event location'),
-    attendees: z.array(z.string()).optional().describe('Array of attendee email addresses'),
-    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Event importance'),
-    showAs: z.enum(['free', 'tentative', 'busy', 'oof', 'workingElsewhere']).default('busy').describe('Show as status'),
-    isAllDay: z.boolean().default(false).describe('Whether this is an all-day event'),
-    timezone: z.string().optional().describe('Timezone (e.g., "Europe/London", "America/New_York"). Defaults to system timezone')
+    contactId: z.string().describe('The ID of the contact to delete'),
+    account: accountParam
   },
-  async ({ subject, start, end, body, location, attendees, importance, showAs, isAllDay, timezone }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const event = {
-      subject,
-      importance,
-      showAs,
-      isAllDay
-    };
-    
-    // Handle timezone properly
-    if (isAllDay) {
-      // For all-day events, use date only without timezone
-      event.start = {
-        dateTime: start.split('T')[0],
-        timeZone: 'tzone://Microsoft/Custom'
-      };
-      event.end = {
-        dateTime: end.split('T')[0],
-        timeZone: 'tzone://Microsoft/Custom'
-      };
-    } else {
-      // For regular events, use proper timezone
-      event.start = formatDateTimeForGraph(start, timezone);
-      event.end = formatDateTimeForGraph(end, timezone);
-    }
-    
-    if (body) {
-      event.body = {
-        contentType: 'HTML',
-        content: body
-      };
-    }
-    
-    if (location) {
-      event.location = {
-        displayName: location
-      };
-    }
+  async ({ contactId, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (attendees) {
-      event.attendees = attendees.map(email => ({
-        emailAddress: { address: email },
-        type: 'required'
-      }));
-    }
-    
-    const result = await client.api('/me/events').post(event);
+    await client.api(`/me/contacts/${contactId}`).delete();
     
     return {
       content: [{
         type: 'text',
-        text: `Calendar event created successfully! Event ID: ${result.id}\nTimezone: ${event.start.timeZone}`
+        text: 'Contact deleted successfully!'
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_update_calendar_event',
+  'outlook_list_contact_folders',
   {
-    eventId: z.string().describe('The ID of the event to update'),
-    subject: z.string().optional().describe('Updated event subject/title'),
-    start: z.string().optional().describe('Updated start date/time in ISO format'),
-    end: z.string().optional().describe('Updated end date/time in ISO format'),
-    body: z.string().optional().describe('Updated event description/body'),
-    location: z.string().optional().describe('Updated event location'),
-    importance: z.enum(['low', 'normal', 'high']).optional().describe('Updated event importance'),
-    timezone: z.string().optional().describe('Timezone for the event times')
+    account: accountParam
   },
-  async ({ eventId, subject, start, end, body, location, importance, timezone }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const updateData = {};
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (subject) updateData.subject = subject;
-    if (start) updateData.start = formatDateTimeForGraph(start, timezone);
-    if (end) updateData.end = formatDateTimeForGraph(end, timezone);
-    if (body) updateData.body = { contentType: 'HTML', content: body };
-    if (location) updateData.location = { displayName: location };
-    if (importance) updateData.importance = importance;
+    const { items } = await getPagedResults(client, '/me/contactFolders', {
+      $select: 'id,displayName,parentFolderId',
+      $top: 100
+    }, { fetchAll: true });
     
-    await client.api(`/me/events/${eventId}`).patch(updateData);
+    const folders = items.map(folder => ({
+      id: folder.id,
+      name: folder.displayName
+    }));
     
     return {
       content: [{
         type: 'text',
-        text: 'Calendar event updated successfully!'
+        text: JSON.stringify(folders, null, 2)
       }]
     };
   }
 );
 
-
-
-
-
-
-
 server.tool(
-  'outlook_delete_calendar_event',
+  'outlook_create_contact_folder',
   {
-    eventId: z.string().describe('The ID of the event to delete')
+    name: z.string().describe('Name of the new contact folder'),
+    account: accountParam
   },
-  async ({ eventId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ name, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/events/${eventId}`).delete();
+    const result = await client.api('/me/contactFolders').post({ displayName: name });
     
     return {
       content: [{
         type: 'text',
-        text: 'Calendar event deleted successfully!'
+        text: `Contact folder "${result.displayName}" created successfully! Folder ID: ${result.id}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_get_calendar_event',
+  'outlook_delete_contact_folder',
   {
-    eventId: z.string().describe('The ID of the event to retrieve')
+    folder: z.string().describe('Name or ID of the contact folder to delete, along with its contacts'),
+    account: accountParam
   },
-  async ({ eventId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ folder, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const event = await client.api(`/me/events/${eventId}`)
-      .select('id,subject,start,end,location,body,organizer,attendees,importance,showAs,categories')
-      .get();
+    const base = await resolveContactFolderBase(client, folder);
+    await client.api(base).delete();
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify({
-          id: event.id,
-          subject: event.subject,
-          start: event.start.dateTime,
-          end: event.end.dateTime,
-          location: event.location?.displayName,
-          body: event.body?.content,
-          organizer: event.organizer?.emailAddress?.address,
-          attendees: event.attendees?.map(att => ({
-            email: att.emailAddress.address,
-            response: att.status.response
-          })),
-          importance: event.importance,
-          showAs: event.showAs,
-          categories: event.categories
-        }, null, 2)
+        text: 'Contact folder deleted successfully!'
       }]
     };
   }
 );
 
-// ================================
-// TASK MANAGEMENT TOOLS
-// ================================
-
 server.tool(
-  'outlook_list_tasks',
+  'outlook_list_contact_groups',
   {
-    completed: z.boolean().optional().describe('Filter by completion status'),
-    limit: z.number().default(20).describe('Maximum number of tasks to return')
+    account: accountParam
   },
-  async ({ completed, limit }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const lists = await client.api('/me/todo/lists').get();
-    
-    if (lists.value.length === 0) {
-      return {
-        content: [{
-          type: 'text',
-          text: 'No task lists found.'
-        }]
-      };
-    }
-    
-    const listId = lists.value[0].id;
-    let tasksQuery = {
-      $top: limit,
-      $select: 'id,title,body,dueDateTime,importance,status,completedDateTime,createdDateTime'
-    };
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (completed !== undefined) {
-      tasksQuery.$filter = completed ? 'status eq \'completed\'' : 'status ne \'completed\'';
+    const memberCounts = new Map();
+    let truncated = false;
+    for (const base of await getContactFolderBases(client)) {
+      const result = await getPagedResults(client, `${base}/contacts`, {
+        $select: 'id,categories',
+        $top: 100
+      }, { fetchAll: true });
+      truncated = truncated || result.truncated;
+      
+      for (const contact of result.items) {
+        for (const category of contact.categories || []) {
+          memberCounts.set(category, (memberCounts.get(category) || 0) + 1);
+        }
+      }
     }
     
-    const tasks = await client.api(`/me/todo/lists/${listId}/tasks`)
-      .query(tasksQuery)
-      .get();
-    
-    const formattedTasks = tasks.value.map(task => ({
-      id: task.id,
-      title: task.title,
-      body: task.body?.content,
-      dueDateTime: task.dueDateTime?.dateTime,
-      importance: task.importance,
-      status: task.status,
-      completedDateTime: task.completedDateTime?.dateTime,
-      createdDateTime: task.createdDateTime
-    }));
+    const groups = [...memberCounts].map(([name, memberCount]) => ({ name, memberCount }));
     
+    // Counts stop at the fetchAll cap, so a truncated scan may miss groups or undercount them
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(formattedTasks, null, 2)
+        text: JSON.stringify({ groups, truncated }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_create_task',
+  'outlook_get_contact_group',
   {
-    title: z.string().describe('Task title'),
-    body: z.string().optional().describe('Task description'),
-    dueDateTime: z.string().optional().describe('Due date/time in ISO format'),
-    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Task importance level')
+    group: z.string().describe('Name of the contact group'),
+    account: accountParam
   },
-  async ({ title, body, dueDateTime, importance }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const lists = await client.api('/me/todo/lists').get();
-    if (lists.value.length === 0) {
-      throw new Error('No task lists found. Please create a task list in Outlook first.');
-    }
-    
-    const listId = lists.value[0].id;
-    
-    const task = {
-      title,
-      importance
-    };
-    
-    if (body) {
-      task.body = {
-        content: body,
-        contentType: 'text'
-      };
-    }
-    
-    if (dueDateTime) {
-      task.dueDateTime = {
-        dateTime: dueDateTime,
-        timeZone: 'UTC'
-      };
-    }
+  async ({ group, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const result = await client.api(`/me/todo/lists/${listId}/tasks`).post(task);
+    const { members, truncated } = await getContactGroupMembers(client, group);
     
     return {
       content: [{
         type: 'text',
-        text: `Task created successfully! Task ID: ${result.id}`
+        text: JSON.stringify({
+          group,
+          members: members.map(contact => ({
+            id: contact.id,
+            name: contact.displayName,
+            emails: contact.emailAddresses?.map(email => email.address)
+          })),
+          truncated
+        }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_update_task',
+  'outlook_add_contact_group_members',
   {
-    taskId: z.string().describe('The ID of the task to update'),
-    title: z.string().optional().describe('Updated task title'),
-    body: z.string().optional().describe('Updated task description'),
-    dueDateTime: z.string().optional().describe('Updated due date/time in ISO format'),
-    importance: z.enum(['low', 'normal', 'high']).optional().describe('Updated task importance'),
-    status: z.enum(['notStarted', 'inProgress', 'completed', 'waitingOnOthers', 'deferred']).optional().describe('Updated task status')
+    group: z.string().describe('Name of the contact group (created if it doesn\'t exist yet)'),
+    members: z.array(z.string()).describe('Contact IDs or email addresses to add'),
+    createMissingContacts: z.boolean().default(true).describe('Create a contact for email addresses that don\'t match one'),
+    account: accountParam
   },
-  async ({ taskId, title, body, dueDateTime, importance, status }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ group, members, createMissingContacts, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    const lists = await client.api('/me/todo/lists').get();
-    const listId = lists.value[0].id;
-    
-    const updateData = {};
-    
-    if (title) updateData.title = title;
-    if (body) updateData.body = { content: body, contentType: 'text' };
-    if (dueDateTime) updateData.dueDateTime = { dateTime: dueDateTime, timeZone: 'UTC' };
-    if (importance) updateData.importance = importance;
-    if (status) updateData.status = status;
+    // A master category gives the group a name in Outlook's category list
+    const { value: categories } = await client.api('/me/outlook/masterCategories').get();
+    if (!categories.some(category => category.displayName.toLowerCase() === group.toLowerCase())) {
+      await client.api('/me/outlook/masterCategories').post({ displayName: group, color: 'none' });
+    }
     
-    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).patch(updateData);
+    const added = [];
+    const notFound = [];
+    for (const member of members) {
+      const contact = await resolveGroupMember(client, member, createMissingContacts);
+      if (!contact) {
+        notFound.push(member);
+        continue;
+      }
+      if (!contact.categories?.includes(group)) {
+        await client.api(`/me/contacts/${contact.id}`).patch({ categories: [...(contact.categories || []), group] });
+      }
+      added.push({ id: contact.id, name: contact.displayName });
+    }
     
     return {
       content: [{
         type: 'text',
-        text: 'Task updated successfully!'
+        text: JSON.stringify({ group, added, notFound }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_delete_task',
+  'outlook_remove_contact_group_members',
   {
-    taskId: z.string().describe('The ID of the task to delete')
+    group: z.string().describe('Name of the contact group'),
+    members: z.array(z.string()).describe('Contact IDs or email addresses to remove'),
+    account: accountParam
   },
-  async ({ taskId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const lists = await client.api('/me/todo/lists').get();
-    const listId = lists.value[0].id;
+  async ({ group, members, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).delete();
+    const removed = [];
+    const notFound = [];
+    for (const member of members) {
+      const contact = await resolveGroupMember(client, member, false);
+      if (!contact?.categories?.includes(group)) {
+        notFound.push(member);
+        continue;
+      }
+      await client.api(`/me/contacts/${contact.id}`).patch({ categories: contact.categories.filter(category => category !== group) });
+      removed.push({ id: contact.id, name: contact.displayName });
+    }
     
     return {
       content: [{
         type: 'text',
-        text: 'Task deleted successfully!'
+        text: JSON.stringify({ group, removed, notFound }, null, 2)
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_complete_task',
+  'outlook_delete_contact_group',
   {
-    taskId: z.string().describe('The ID of the task to mark as completed')
+    group: z.string().describe('Name of the contact group to delete (its contacts are kept)'),
+    account: accountParam
   },
-  async ({ taskId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const lists = await client.api('/me/todo/lists').get();
-    const listId = lists.value[0].id;
+  async ({ group, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/todo/lists/${listId}/tasks/${taskId}`).patch({
-      status: 'completed'
-    });
+    const { members, truncated } = await getContactGroupMembers(client, group);
+    for (const contact of members) {
+      await client.api(`/me/contacts/${contact.id}`).patch({ categories: contact.categories.filter(category => category !== group) });
+    }
     
     return {
       content: [{
         type: 'text',
-        text: 'Task marked as completed successfully!'
+        text: `Contact group "${group}" deleted successfully! ${members.length} contact(s) removed from it.${truncated ? ' The group had more members than one call can fetch; run this again to remove the rest.' : ''}`
       }]
     };
   }
 );
 
-// ================================
-// CONTACT MANAGEMENT TOOLS
-// ================================
-
 server.tool(
-  'outlook_list_contacts',
+  'outlook_send_to_contact_group',
   {
-    limit: z.number().default(50).describe('Maximum number of contacts to return'),
-    search: z.string().optional().describe('Search query to filter contacts')
+    group: z.string().describe('Name of the contact group to email'),
+    subject: z.string().describe('Email subject'),
+    body: z.string().describe('Email body (HTML supported)'),
+    recipientType: z.enum(['to', 'cc', 'bcc']).default('bcc').describe('How group members are addressed (bcc keeps their addresses private from each other)'),
+    importance: z.enum(['low', 'normal', 'high']).default('normal').describe('Email importance level'),
+    attachments: z.array(attachmentInputSchema).optional().describe('Files to attach (by local path or base64 content)'),
+    account: accountParam
   },
-  async ({ limit, search }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    let query = {
-      $top: limit,
-      $select: 'id,displayName,emailAddresses,phoneNumbers,companyName,jobTitle'
-    };
+  async ({ group, subject, body, recipientType, importance, attachments, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (search) {
-      query.$filter = `startswith(displayName,'${search}') or startswith(givenName,'${search}') or startswith(surname,'${search}')`;
+    const { members, truncated } = await getContactGroupMembers(client, group);
+    if (truncated) {
+      throw new Error(`Contact group "${group}" has more members than one call can fetch (${MAX_FETCH_ALL_RESULTS}); email was not sent`);
     }
+    const addresses = [...new Set(members.map(contact => contact.emailAddresses?.[0]?.address).filter(Boolean))];
+    const withoutEmail = members.filter(contact => !contact.emailAddresses?.length).map(contact => contact.displayName);
     
-    const contacts = await client.api('/me/contacts').query(query).get();
+    if (addresses.length === 0) {
+      throw new Error(`Contact group "${group}" has no members with an email address`);
+    }
     
-    const formattedContacts = contacts.value.map(contact => ({
-      id: contact.id,
-      name: contact.displayName,
-      emails: contact.emailAddresses?.map(e => e.address),
-      phones: contact.phoneNumbers?.map(p => ({ type: p.type, number: p.number })),
-      company: contact.companyName,
-      jobTitle: contact.jobTitle
-    }));
+    await sendNewMessage(client, buildMessage({ subject, body, importance, [recipientType]: addresses }), attachments);
     
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(formattedContacts, null, 2)
+        text: `Email sent to ${addresses.length} member(s) of "${group}"!${withoutEmail.length ? ` Skipped (no email address): ${withoutEmail.join(', ')}` : ''}`
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_create_contact',
+  'outlook_export_contacts',
   {
-    displayName: z.string().describe('Contact display name'),
-    emailAddress: z.string().optional().describe('Primary email address'),
-    phoneNumber: z.string().optional().describe('Primary phone number'),
-    companyName: z.string().optional().describe('Company name'),
-    jobTitle: z.string().optional().describe('Job title')
+    folder: z.string().optional().describe('Only export this contact folder (name or ID)'),
+    search: z.string().optional().describe('Only export contacts whose name starts with this text (as in outlook_list_contacts)'),
+    contactIds: z.array(z.string()).optional().describe('Only export these contacts (e.g., IDs from outlook_list_contacts)'),
+    savePath: z.string().optional().describe('File path to write the .vcf to (e.g., "~/contacts.vcf"); the vCard text is returned otherwise'),
+    account: accountParam
   },
-  async ({ displayName, emailAddress, phoneNumber, companyName, jobTitle }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
-    
-    const contact = {
-      displayName
-    };
-    
-    if (emailAddress) {
-      contact.emailAddresses = [{
-        address: emailAddress,
-        name: displayName
-      }];
-    }
+  async ({ folder, search, contactIds, savePath, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    if (phoneNumber) {
-      contact.phoneNumbers = [{
-        type: 'mobile',
-        number: phoneNumber
-      }];
+    let contacts = [];
+    if (contactIds) {
+      for (const contactId of contactIds) {
+        contacts.push(await client.api(`/me/contacts/${contactId}`).select(CONTACT_SELECT).get());
+      }
+    } else {
+      const query = { $select: CONTACT_SELECT, $top: 100 };
+      if (search) {
+        const term = quoteODataString(search);
+        query.$filter = `startswith(displayName,${term}) or startswith(givenName,${term}) or startswith(surname,${term})`;
+      }
+      
+      const bases = folder ? [await resolveContactFolderBase(client, folder)] : await getContactFolderBases(client);
+      for (const base of bases) {
+        const { items } = await getPagedResults(client, `${base}/contacts`, query, { fetchAll: true });
+        contacts.push(...items);
+      }
     }
     
-    if (companyName) contact.companyName = companyName;
-    if (jobTitle) contact.jobTitle = jobTitle;
+    const vcards = contacts.map(contact => serializeVCard(contactToFields(contact))).join('');
     
-    const result = await client.api('/me/contacts').post(contact);
+    if (savePath) {
+      const filePath = expandHomePath(savePath);
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, vcards, 'utf8');
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Exported ${contacts.length} contact(s) to ${filePath}`
+        }]
+      };
+    }
     
     return {
       content: [{
         type: 'text',
-        text: `Contact created successfully! Contact ID: ${result.id}`
+        text: vcards || 'No contacts found.'
       }]
     };
   }
 );
 
 server.tool(
-  'outlook_delete_contact',
+  'outlook_import_contacts',
   {
-    contactId: z.string().describe('The ID of the contact to delete')
+    path: z.string().optional().describe('Path to a .vcf file with one or more vCards'),
+    vcardText: z.string().optional().describe('vCard text to import (alternative to path)'),
+    duplicateMode: z.enum(['skip', 'merge', 'overwrite']).default('skip')
+      .describe('What to do when a card shares an email with an existing contact: skip it, merge it in (existing values win, lists are combined), or overwrite the existing fields'),
+    folder: z.string().optional().describe('Contact folder (name or ID) for new contacts'),
+    dryRun: z.boolean().default(false).describe('Report what would happen without changing anything'),
+    account: accountParam
   },
-  async ({ contactId }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ path, vcardText, duplicateMode, folder, dryRun, account }) => {
+    const client = await getAuthenticatedClient(account);
     
-    await client.api(`/me/contacts/${contactId}`).delete();
+    if (!path === !vcardText) {
+      throw new Error('Provide either path or vcardText');
+    }
+    
+    const cards = parseVCards(path ? readFileSync(expandHomePath(path), 'utf8') : vcardText);
+    if (cards.length === 0) {
+      throw new Error('No vCards found in the input');
+    }
+    
+    const base = await resolveContactFolderBase(client, folder);
+    // Duplicates are looked for in the target folder, or in every folder when importing into the default one
+    const duplicateBases = folder ? [base] : await getContactFolderBases(client);
+    const report = [];
+    
+    for (const [index, { displayName, fields, warnings }] of cards.entries()) {
+      const entry = { card: index + 1, name: displayName, warnings: warnings.length ? warnings : undefined };
+      try {
+        let existing = null;
+        for (const address of fields.emailAddresses || []) {
+          existing = await findContactByEmail(client, address, duplicateBases);
+          if (existing) break;
+        }
+        
+        if (!existing) {
+          entry.status = 'created';
+          if (!dryRun) {
+            const result = await client.api(`${base}/contacts`).post({ displayName, ...buildContactFields(fields, displayName) });
+            entry.contactId = result.id;
+          }
+        } else if (duplicateMode === 'skip') {
+          entry.status = 'skipped';
+          entry.contactId = existing.id;
+          entry.reason = `Duplicate of "${existing.displayName}"`;
+        } else {
+          entry.status = duplicateMode === 'merge' ? 'merged' : 'overwritten';
+          entry.contactId = existing.id;
+          if (!dryRun) {
+            const current = contactToFields(await client.api(`/me/contacts/${existing.id}`).select(CONTACT_SELECT).get());
+            const updated = duplicateMode === 'merge'
+              ? mergeContactFields(current, { displayName, ...fields })
+              : { ...current, ...fields, displayName: displayName || current.displayName };
+            await client.api(`/me/contacts/${existing.id}`).patch({ displayName: updated.displayName, ...buildContactFields(updated, updated.displayName) });
+          }
+        }
+      } catch (e) {
+        entry.status = 'failed';
+        entry.reason = e.message;
+      }
+      report.push(entry);
+    }
+    
+    const counts = report.reduce((totals, entry) => ({ ...totals, [entry.status]: (totals[entry.status] || 0) + 1 }), {});
     
     return {
       content: [{
         type: 'text',
-        text: 'Contact deleted successfully!'
+        text: JSON.stringify({ dryRun, counts, cards: report }, null, 2)
       }]
     };
   }
@@ -1000,10 +4735,11 @@ server.tool(
 
 server.tool(
   'outlook_get_user_profile',
-  {},
-  async () => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  {
+    account: accountParam
+  },
+  async ({ account }) => {
+    const client = await getAuthenticatedClient(account);
     
     const profile = await client.api('/me')
       .select('id,displayName,mail,userPrincipalName,officeLocation,jobTitle,department')
@@ -1030,37 +4766,37 @@ server.tool(
   'outlook_search_all',
   {
     query: z.string().describe('Search query to find across emails, events, and contacts'),
-    limit: z.number().default(10).describe('Maximum number of results per category')
+    limit: z.number().default(10).describe('Maximum number of results per category'),
+    account: accountParam
   },
-  async ({ query, limit }) => {
-    const accessToken = await getAccessToken();
-    const client = getGraphClient(accessToken);
+  async ({ query, limit, account }) => {
+    const client = await getAuthenticatedClient(account);
     
     // Search emails
     const emails = await client.api('/me/messages')
-      .query({
-        $search: `"${query}"`,
+      .query(encodeODataQuery({
+        $search: quoteSearchTerm(query),
         $top: limit,
         $select: 'id,subject,from,receivedDateTime'
-      })
+      }))
       .get();
     
     // Search events
     const events = await client.api('/me/events')
-      .query({
-        $search: `"${query}"`,
+      .query(encodeODataQuery({
+        $search: quoteSearchTerm(query),
         $top: limit,
         $select: 'id,subject,start,organizer'
-      })
+      }))
       .get();
     
     // Search contacts
     const contacts = await client.api('/me/contacts')
-      .query({
-        $filter: `contains(displayName,'${query}')`,
+      .query(encodeODataQuery({
+        $filter: `contains(displayName,${quoteODataString(query)})`,
         $top: limit,
         $select: 'id,displayName,emailAddresses'
-      })
+      }))
       .get();
     
     return {
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNaturalDateTime, createDateResolver } from '../dates.js';
+
+// Wednesday 5 June 2024, 11:15 in London
+const now = new Date('2024-06-05T10:15:00Z');
+const parse = input => parseNaturalDateTime(input, { now, timeZone: 'Europe/London' });
+
+test('resolves a day and a time', () => {
+  assert.equal(parse('tomorrow 3pm').start, '2024-06-06T15:00:00');
+});
+
+test('resolves weekday names to the next matching day', () => {
+  assert.equal(parse('next Tuesday').start, '2024-06-11');
+  assert.equal(parse('tues').start, '2024-06-11');
+});
+
+test('resolves end of week to the end of Friday', () => {
+  assert.equal(parse('end of week').start, '2024-06-07T17:00:00');
+});
+
+test('resolves relative offsets from now in the given timezone', () => {
+  assert.equal(parse('in 2 hours').start, '2024-06-05T13:15:00');
+  assert.equal(parse('in 3 days').start.slice(0, 10), '2024-06-08');
+});
+
+test('resolves a weekday with a time range', () => {
+  assert.deepEqual(parse('Mon 10:00-11:30'), { start: '2024-06-10T10:00:00', end: '2024-06-10T11:30:00', hasDate: true });
+});
+
+test('uses the local date in the given timezone, not the UTC date', () => {
+  const lateUtc = new Date('2024-06-05T23:30:00Z');
+  assert.equal(parseNaturalDateTime('tomorrow', { now: lateUtc, timeZone: 'Asia/Tokyo' }).start, '2024-06-07');
+  assert.equal(parseNaturalDateTime('tomorrow', { now: lateUtc, timeZone: 'America/New_York' }).start, '2024-06-06');
+});
+
+test('passes ISO input through unchanged', () => {
+  assert.equal(parse('2024-06-01T14:30:00').start, '2024-06-01T14:30:00');
+  assert.equal(parse('2024-06-01T14:30:00Z').start, '2024-06-01T14:30:00Z');
+});
+
+test('rejects ambiguous input', () => {
+  assert.throws(() => parse('10/11'), /ambiguous between day\/month and month\/day/);
+  assert.throws(() => parse('tomorrow at 3'), /ambiguous: add am\/pm/);
+  assert.throws(() => parse('blah'), /Could not understand the date "blah"/);
+});
+
+test('resolver fills a bare end time in on the start day and records what it resolved', () => {
+  const dates = createDateResolver('America/New_York', now);
+  assert.deepEqual(dates.resolveRange('start', 'tomorrow 3pm', 'end', '4:30pm'), ['2024-06-06T15:00:00', '2024-06-06T16:30:00']);
+  assert.equal(dates.resolve('due', '2024-06-01'), '2024-06-01');
+  assert.deepEqual(dates.resolved.map(entry => entry.parameter), ['start', 'end']);
+  assert.match(dates.describe(), /start: "tomorrow 3pm" → 2024-06-06T15:00:00 \(America\/New_York\)/);
+});
+
+test('resolver names the parameter in errors and refuses ranges for single values', () => {
+  const dates = createDateResolver('Europe/London', now);
+  assert.throws(() => dates.resolve('receivedAfter', '10/11'), /^Error: receivedAfter: /);
+  assert.throws(() => dates.resolve('due', 'Mon 10:00-11:30'), /takes a single date\/time, not a range/);
+});
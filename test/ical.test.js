@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeICalendar, findDeletedOccurrences, parseICalendar, icalEventToDetails, rruleToRecurrence, recurrenceToRRule, serializeVTimezone } from '../ical.js';
+import { buildRecurrence, expandRecurrence } from '../recurrence.js';
+
+test('maps RRULEs onto Outlook recurrence patterns', () => {
+  assert.deepEqual(rruleToRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20241231T235959Z', 'America/New_York'), {
+    recurrence: { interval: 2, pattern: 'weekly', daysOfWeek: ['monday', 'wednesday'], endDate: '2024-12-31' },
+    notes: []
+  });
+  assert.deepEqual(rruleToRecurrence('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=5', 'UTC').recurrence, {
+    interval: 1,
+    pattern: 'relativeMonthly',
+    daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    index: 'last',
+    occurrences: 5
+  });
+  assert.deepEqual(rruleToRecurrence('FREQ=YEARLY;BYMONTH=3;BYDAY=2SU', 'UTC').recurrence, {
+    interval: 1,
+    pattern: 'relativeYearly',
+    month: 3,
+    daysOfWeek: ['sunday'],
+    index: 'second'
+  });
+  assert.deepEqual(rruleToRecurrence('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', 'UTC').recurrence, {
+    interval: 1,
+    pattern: 'weekly',
+    daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+  });
+});
+
+test('explains RRULEs that Outlook cannot store', () => {
+  assert.equal(rruleToRecurrence('FREQ=DAILY;BYHOUR=9', 'UTC').reason, 'BYHOUR has no Outlook equivalent');
+  assert.match(rruleToRecurrence('FREQ=MONTHLY;BYMONTHDAY=1,15', 'UTC').reason, /BYMONTHDAY=1,15/);
+  assert.match(rruleToRecurrence('FREQ=HOURLY', 'UTC').reason, /FREQ=HOURLY/);
+  assert.deepEqual(rruleToRecurrence('FREQ=WEEKLY;INTERVAL=2;WKST=MO', 'UTC').notes, ['WKST=MO was not applied; Outlook counts weeks from Sunday']);
+});
+
+test('maps Outlook recurrence patterns onto RRULEs', () => {
+  const relative = buildRecurrence({ pattern: 'relativeMonthly', interval: 1, occurrences: 6 }, '2024-06-18T09:00:00', 'Europe/London');
+  assert.deepEqual(relative.pattern, { type: 'relativeMonthly', interval: 1, daysOfWeek: ['tuesday'], index: 'third' });
+  assert.equal(recurrenceToRRule(relative, { isAllDay: false, timeZone: 'Europe/London' }), 'RRULE:FREQ=MONTHLY;BYDAY=TU;BYSETPOS=3;COUNT=6');
+
+  const yearly = buildRecurrence({ pattern: 'absoluteYearly', interval: 1, endDate: '2030-02-29' }, '2024-02-29', 'UTC');
+  assert.equal(recurrenceToRRule(yearly, { isAllDay: true, timeZone: 'UTC' }), 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1;UNTIL=20300229');
+
+  // UNTIL is the end of the last day in the series' zone, expressed in UTC
+  const weekly = buildRecurrence({ pattern: 'weekly', interval: 2, daysOfWeek: ['monday', 'thursday'], endDate: '2024-07-31' }, '2024-07-01T10:00:00', 'America/New_York');
+  assert.equal(recurrenceToRRule(weekly, { isAllDay: false, timeZone: 'America/New_York' }), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20240801T035959Z');
+});
+
+test('keeps series on the 29th-31st in shorter months', () => {
+  const monthly = buildRecurrence({ pattern: 'absoluteMonthly', interval: 1, occurrences: 4 }, '2024-01-31T09:00:00', 'UTC');
+  const rrule = recurrenceToRRule(monthly, { isAllDay: false, timeZone: 'UTC' });
+  assert.equal(rrule, 'RRULE:FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1;COUNT=4');
+  assert.deepEqual(expandRecurrence(monthly, '2024-12-31'), ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+  assert.deepEqual(rruleToRecurrence(rrule.slice('RRULE:'.length), 'UTC').recurrence, { interval: 1, pattern: 'absoluteMonthly', dayOfMonth: 31, occurrences: 4 });
+
+  const thirtieth = buildRecurrence({ pattern: 'absoluteMonthly', interval: 1 }, '2024-01-30', 'UTC');
+  assert.equal(recurrenceToRRule(thirtieth, { isAllDay: true, timeZone: 'UTC' }), 'RRULE:FREQ=MONTHLY;BYMONTHDAY=28,29,30;BYSETPOS=-1');
+  assert.match(rruleToRecurrence('FREQ=MONTHLY;BYMONTHDAY=29,30,31;BYSETPOS=-1', 'UTC').reason, /BYMONTHDAY=29,30,31;BYSETPOS=-1/);
+});
+
+test('round-trips recurrence through RRULE', () => {
+  const recurrences = [
+    { pattern: 'daily', interval: 3, occurrences: 10 },
+    { pattern: 'weekly', interval: 1, daysOfWeek: ['tuesday', 'friday'], endDate: '2024-12-31' },
+    { pattern: 'absoluteMonthly', interval: 2, dayOfMonth: 15 },
+    { pattern: 'relativeYearly', interval: 1, daysOfWeek: ['thursday'], index: 'fourth', month: 11 }
+  ];
+  for (const input of recurrences) {
+    const rrule = recurrenceToRRule(buildRecurrence(input, '2024-01-15T09:00:00', 'Europe/London'), { isAllDay: false, timeZone: 'Europe/London' });
+    assert.deepEqual(rruleToRecurrence(rrule.slice('RRULE:'.length), 'Europe/London'), { recurrence: input, notes: [] }, rrule);
+  }
+});
+
+test('describes daylight saving zones with yearly rules', () => {
+  assert.deepEqual(serializeVTimezone('America/New_York', 2024, 2025), [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:20240310T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'DTSTART:20241103T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+
+  const london = serializeVTimezone('Europe/London', 2024, 2024);
+  assert.ok(london.includes('DTSTART:20240331T010000'));
+  assert.ok(london.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+  assert.ok(london.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+});
+
+test('describes fixed-offset zones with a single observance', () => {
+  assert.deepEqual(serializeVTimezone('Asia/Kolkata', 2024, 2024), [
+    'BEGIN:VTIMEZONE',
+    'TZID:Asia/Kolkata',
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('serializes folded CRLF lines and parses them back', () => {
+  const subject = `Planning, review; and ${'très longue réunion '.repeat(6)}`;
+  const event = {
+    id: 'event-1',
+    subject,
+    start: { dateTime: '2024-06-18T08:00:00.0000000', timeZone: 'UTC' },
+    end: { dateTime: '2024-06-18T08:30:00.0000000', timeZone: 'UTC' },
+    originalStartTimeZone: 'GMT Standard Time',
+    recurrence: buildRecurrence({ pattern: 'weekly', interval: 1, occurrences: 4 }, '2024-06-18T09:00:00', 'Europe/London'),
+    attendees: [{ type: 'optional', emailAddress: { name: 'Doe, Jane', address: 'jane@example.com' }, status: { response: 'accepted' } }],
+    isReminderOn: true,
+    reminderMinutesBeforeStart: 15
+  };
+  const text = serializeICalendar([{ event, uid: 'uid-1' }], { timeZone: 'UTC', now: new Date('2024-06-01T00:00:00Z') });
+
+  assert.ok(text.endsWith('\r\n'));
+  for (const line of text.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `"${line}" is longer than 75 octets`);
+  }
+  assert.ok(text.includes('\r\nDTSTART;TZID=Europe/London:20240618T090000\r\n'));
+  assert.ok(text.includes('\r\nBEGIN:VTIMEZONE\r\nTZID:Europe/London\r\n'));
+
+  const [calendar] = parseICalendar(text);
+  const vevent = calendar.components.find(component => component.name === 'VEVENT');
+  const details = icalEventToDetails(vevent, calendar, 'UTC');
+  assert.equal(details.subject, subject);
+  assert.equal(details.timeZone, 'Europe/London');
+  assert.equal(details.start, '2024-06-18T09:00:00');
+  assert.equal(details.end, '2024-06-18T09:30:00');
+  assert.deepEqual(details.recurrence, { interval: 1, pattern: 'weekly', daysOfWeek: ['tuesday'], occurrences: 4 });
+  assert.deepEqual(details.attendees, [{ address: 'jane@example.com', name: 'Doe, Jane', type: 'optional' }]);
+  assert.equal(details.extraFields.reminderMinutesBeforeStart, 15);
+  assert.equal(details.uid, 'uid-1');
+  assert.deepEqual(details.unmapped, []);
+});
+
+test('expands recurrence patterns into dates', () => {
+  const expand = (recurrence, start, lastDate) => expandRecurrence(buildRecurrence(recurrence, start, 'UTC'), lastDate);
+  assert.deepEqual(expand({ pattern: 'daily', interval: 2, occurrences: 3 }, '2024-06-01', '2024-12-31'), ['2024-06-01', '2024-06-03', '2024-06-05']);
+  // Fortnightly weeks count from the Sunday before the start
+  assert.deepEqual(expand({ pattern: 'weekly', interval: 2, daysOfWeek: ['monday', 'friday'] }, '2024-06-05', '2024-06-30'), ['2024-06-07', '2024-06-17', '2024-06-21']);
+  assert.deepEqual(expand({ pattern: 'absoluteMonthly', interval: 1, dayOfMonth: 31, endDate: '2024-08-31' }, '2024-05-31', '2024-12-31'), ['2024-05-31', '2024-06-30', '2024-07-31', '2024-08-31']);
+  assert.deepEqual(expand({ pattern: 'relativeMonthly', interval: 1, daysOfWeek: ['friday'], index: 'last' }, '2024-01-26', '2024-04-30'), ['2024-01-26', '2024-02-23', '2024-03-29', '2024-04-26']);
+  assert.deepEqual(expand({ pattern: 'relativeYearly', interval: 1, daysOfWeek: ['thursday'], index: 'fourth', month: 11, occurrences: 2 }, '2024-11-28', '2030-01-01'), ['2024-11-28', '2025-11-27']);
+});
+
+test('finds occurrences deleted or cancelled from a series in the range', () => {
+  const master = {
+    id: 'master',
+    originalStartTimeZone: 'GMT Standard Time',
+    start: { dateTime: '2024-06-03T08:00:00.0000000', timeZone: 'UTC' },
+    end: { dateTime: '2024-06-03T08:30:00.0000000', timeZone: 'UTC' },
+    recurrence: buildRecurrence({ pattern: 'daily', interval: 1 }, '2024-06-03T09:00:00', 'Europe/London')
+  };
+  const occurrence = (date, extra = {}) => ({
+    seriesMasterId: 'master',
+    start: { dateTime: `${date}T08:00:00.0000000`, timeZone: 'UTC' },
+    ...extra
+  });
+  const instances = [
+    occurrence('2024-06-10'),
+    occurrence('2024-06-11', { isCancelled: true }),
+    // Moved to the afternoon, but still the occurrence that started on the 12th
+    occurrence('2024-06-12', { type: 'exception', start: { dateTime: '2024-06-12T14:00:00.0000000', timeZone: 'UTC' }, originalStart: '2024-06-12T08:00:00Z' }),
+    occurrence('2024-06-14'),
+    { seriesMasterId: 'other', start: { dateTime: '2024-06-13T08:00:00.0000000', timeZone: 'UTC' } }
+  ];
+  const range = { rangeStart: new Date('2024-06-10T00:00:00Z'), rangeEnd: new Date('2024-06-15T00:00:00Z'), timeZone: 'UTC' };
+  const exdates = findDeletedOccurrences(master, instances, range);
+  assert.deepEqual(exdates, ['2024-06-11', '2024-06-13']);
+
+  const text = serializeICalendar([{ event: master, exdates }], { timeZone: 'UTC', now: new Date('2024-06-01T00:00:00Z') });
+  assert.ok(text.includes('\r\nEXDATE;TZID=Europe/London:20240611T090000,20240613T090000\r\n'));
+});
+
+test('excludes all-day occurrences by date', () => {
+  const master = {
+    id: 'master',
+    isAllDay: true,
+    originalStartTimeZone: 'Pacific Standard Time',
+    start: { dateTime: '2024-06-03T00:00:00.0000000', timeZone: 'UTC' },
+    end: { dateTime: '2024-06-04T00:00:00.0000000', timeZone: 'UTC' },
+    recurrence: buildRecurrence({ pattern: 'weekly', interval: 1, daysOfWeek: ['monday'] }, '2024-06-03', 'America/Los_Angeles')
+  };
+  const instances = [{ seriesMasterId: 'master', isAllDay: true, start: { dateTime: '2024-06-10T00:00:00.0000000', timeZone: 'UTC' } }];
+  const range = { rangeStart: new Date('2024-06-09T07:00:00Z'), rangeEnd: new Date('2024-06-23T07:00:00Z'), timeZone: 'UTC' };
+  const exdates = findDeletedOccurrences(master, instances, range);
+  assert.deepEqual(exdates, ['2024-06-17']);
+
+  const text = serializeICalendar([{ event: master, exdates }], { timeZone: 'UTC', now: new Date('2024-06-01T00:00:00Z') });
+  assert.ok(text.includes('\r\nEXDATE;VALUE=DATE:20240617\r\n'));
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toIanaTimezone, toWindowsTimezone, zonedDateTimeToUtc, utcToZonedDateTime, formatDateTimeForGraph } from '../timezones.js';
+
+test('maps between Windows and IANA zone names', () => {
+  assert.equal(toIanaTimezone('GMT Standard Time'), 'Europe/London');
+  assert.equal(toIanaTimezone('America/New_York'), 'America/New_York');
+  assert.equal(toWindowsTimezone('America/New_York'), 'Eastern Standard Time');
+  assert.throws(() => toIanaTimezone('Mars/Olympus'), /Unknown timezone "Mars\/Olympus"/);
+});
+
+test('converts wall-clock times on both sides of a DST change', () => {
+  assert.equal(zonedDateTimeToUtc('2024-03-30T12:00:00', 'Europe/London').toISOString(), '2024-03-30T12:00:00.000Z');
+  assert.equal(zonedDateTimeToUtc('2024-04-01T12:00:00', 'Europe/London').toISOString(), '2024-04-01T11:00:00.000Z');
+  assert.equal(utcToZonedDateTime(new Date('2024-11-04T15:00:00Z'), 'America/New_York'), '2024-11-04T10:00:00');
+});
+
+test('formats naive and absolute inputs for Graph in the target zone', () => {
+  assert.deepEqual(formatDateTimeForGraph('2024-06-01T14:30', 'Europe/Paris'), { dateTime: '2024-06-01T14:30:00', timeZone: 'Romance Standard Time' });
+  assert.deepEqual(formatDateTimeForGraph('2024-06-01T12:30:00Z', 'Europe/Paris'), { dateTime: '2024-06-01T14:30:00', timeZone: 'Romance Standard Time' });
+  assert.throws(() => formatDateTimeForGraph('June 1', 'Europe/Paris'), /Invalid date\/time "June 1"/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeVCard, parseVCards, foldVCardLine, escapeVCardText, unescapeVCardText, mergeContactFields } from '../vcard.js';
+
+test('folds long lines at 75 octets without splitting multi-byte characters', () => {
+  const line = `NOTE:${'é'.repeat(100)}`;
+  const folded = foldVCardLine(line).split('\r\n');
+  assert.ok(folded.length > 1);
+  for (const [index, part] of folded.entries()) {
+    assert.ok(Buffer.byteLength(part, 'utf8') <= 75, `line ${index} is ${Buffer.byteLength(part, 'utf8')} octets`);
+    if (index > 0) {
+      assert.equal(part[0], ' ');
+    }
+  }
+  assert.equal(folded.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+});
+
+test('escapes and unescapes text values', () => {
+  const value = 'a,b;c\\d\nsecond line';
+  assert.equal(escapeVCardText(value), 'a\\,b\\;c\\\\d\\nsecond line');
+  assert.equal(unescapeVCardText(escapeVCardText(value)), value);
+});
+
+test('round-trips a contact with several emails, phones and addresses', () => {
+  const fields = {
+    displayName: 'Doe, Jane',
+    givenName: 'Jane',
+    surname: 'Doe',
+    emailAddresses: ['jane@example.com', 'j.doe@example.org'],
+    businessPhones: ['+1 555 0100', '+1 555 0101'],
+    homePhones: ['+1 555 0200'],
+    mobilePhone: '+1 555 0300',
+    homeAddress: { street: '1 Main St', city: 'Springfield', postalCode: '12345', countryOrRegion: 'USA' },
+    businessAddress: { street: '2 Office Rd; Suite 4', city: 'Shelbyville' },
+    birthday: '1990-04-01',
+    personalNotes: `Met at the conference.\n${'Long note. '.repeat(20)}`,
+    categories: ['Friends', 'Work, Projects'],
+    companyName: 'Acme',
+    jobTitle: 'Engineer'
+  };
+  
+  const text = serializeVCard(fields);
+  assert.ok(text.startsWith('BEGIN:VCARD\r\nVERSION:4.0\r\n'));
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75));
+  
+  const [card] = parseVCards(text);
+  assert.equal(card.displayName, 'Doe, Jane');
+  assert.deepEqual(card.warnings, []);
+  // Address parts that weren't set come back as undefined
+  const blankAddress = { street: undefined, city: undefined, state: undefined, postalCode: undefined, countryOrRegion: undefined };
+  for (const key of Object.keys(fields).filter(key => key !== 'displayName')) {
+    assert.deepEqual(card.fields[key], key.endsWith('Address') ? { ...blankAddress, ...fields[key] } : fields[key], key);
+  }
+});
+
+test('parses vCard 2.1 bare TYPE parameters, groups and several cards', () => {
+  const text = [
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N:Smith;John;;;',
+    'FN:John Smith',
+    'TEL;WORK;VOICE:111',
+    'TEL;HOME:222',
+    'TEL;CELL:333',
+    'TEL;WORK;FAX:444',
+    'item1.EMAIL;INTERNET:john@example.com',
+    'ADR;WORK:;;5 Work Way;Town;;99999;UK',
+    'ADR;HOME:;;6 Home Lane;Village;;88888;UK',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Second Person',
+    'EMAIL;TYPE=INTERNET,HOME:second@example.com',
+    'EMAIL;TYPE=INTERNET,WORK:second@work.example.com',
+    'END:VCARD'
+  ].join('\r\n');
+  
+  const [first, second] = parseVCards(text);
+  assert.equal(first.displayName, 'John Smith');
+  assert.deepEqual(first.fields.businessPhones, ['111']);
+  assert.deepEqual(first.fields.homePhones, ['222']);
+  assert.equal(first.fields.mobilePhone, '333');
+  assert.deepEqual(first.fields.emailAddresses, ['john@example.com']);
+  assert.equal(first.fields.businessAddress.street, '5 Work Way');
+  assert.equal(first.fields.homeAddress.city, 'Village');
+  assert.match(first.warnings[0], /Dropped fax number 444/);
+  assert.deepEqual(second.fields.emailAddresses, ['second@example.com', 'second@work.example.com']);
+});
+
+test('unfolds continuation lines and keeps at most three emails', () => {
+  const text = 'BEGIN:VCARD\r\nFN:Folded\r\n  Name\r\nEMAIL:a@x.com\r\nEMAIL:b@x.com\r\nEMAIL:c@x.com\r\nEMAIL:d@x.com\r\nEND:VCARD\r\n';
+  const [card] = parseVCards(text);
+  assert.equal(card.displayName, 'Folded Name');
+  assert.equal(card.fields.emailAddresses.length, 3);
+  assert.match(card.warnings[0], /Dropped email d@x.com/);
+});
+
+test('merging keeps existing values and combines lists', () => {
+  const merged = mergeContactFields(
+    { displayName: 'Jane', jobTitle: 'Engineer', emailAddresses: ['a@x.com', 'b@x.com'], homePhones: ['1'] },
+    { displayName: 'Jane D', jobTitle: 'Manager', companyName: 'Acme', emailAddresses: ['b@x.com', 'c@x.com', 'd@x.com'], homePhones: ['2'] }
+  );
+  assert.equal(merged.displayName, 'Jane');
+  assert.equal(merged.jobTitle, 'Engineer');
+  assert.equal(merged.companyName, 'Acme');
+  assert.deepEqual(merged.emailAddresses, ['a@x.com', 'b@x.com', 'c@x.com']);
+  assert.deepEqual(merged.homePhones, ['1', '2']);
+});
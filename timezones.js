@@ -0,0 +1,277 @@
+// Timezone utility functions
+// Windows zone names (what Exchange stores) mapped to their primary IANA zone
+const WINDOWS_TIMEZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Aleutian Standard Time': 'America/Adak',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Marquesas Standard Time': 'Pacific/Marquesas',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'UTC-09': 'Etc/GMT+9',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'UTC-08': 'Etc/GMT+8',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Mountain Standard Time': 'America/Denver',
+  'Yukon Standard Time': 'America/Whitehorse',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Easter Island Standard Time': 'Pacific/Easter',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time (Mexico)': 'America/Cancun',
+  'Eastern Standard Time': 'America/New_York',
+  'Haiti Standard Time': 'America/Port-au-Prince',
+  'Cuba Standard Time': 'America/Havana',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Turks And Caicos Standard Time': 'America/Grand_Turk',
+  'Paraguay Standard Time': 'America/Asuncion',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Venezuela Standard Time': 'America/Caracas',
+  'Central Brazilian Standard Time': 'America/Cuiaba',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'Tocantins Standard Time': 'America/Araguaina',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'SA Eastern Standard Time': 'America/Cayenne',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'Greenland Standard Time': 'America/Nuuk',
+  'Montevideo Standard Time': 'America/Montevideo',
+  'Magallanes Standard Time': 'America/Punta_Arenas',
+  'Saint Pierre Standard Time': 'America/Miquelon',
+  'Bahia Standard Time': 'America/Bahia',
+  'UTC-02': 'Etc/GMT+2',
+  'Azores Standard Time': 'Atlantic/Azores',
+  'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+  'UTC': 'Etc/UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'Sao Tome Standard Time': 'Africa/Sao_Tome',
+  'Morocco Standard Time': 'Africa/Casablanca',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'Jordan Standard Time': 'Asia/Amman',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Middle East Standard Time': 'Asia/Beirut',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Syria Standard Time': 'Asia/Damascus',
+  'West Bank Standard Time': 'Asia/Hebron',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'FLE Standard Time': 'Europe/Kyiv',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'South Sudan Standard Time': 'Africa/Juba',
+  'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+  'Sudan Standard Time': 'Africa/Khartoum',
+  'Libya Standard Time': 'Africa/Tripoli',
+  'Namibia Standard Time': 'Africa/Windhoek',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'Belarus Standard Time': 'Europe/Minsk',
+  'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Volgograd Standard Time': 'Europe/Volgograd',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Astrakhan Standard Time': 'Europe/Astrakhan',
+  'Azerbaijan Standard Time': 'Asia/Baku',
+  'Russia Time Zone 3': 'Europe/Samara',
+  'Mauritius Standard Time': 'Indian/Mauritius',
+  'Saratov Standard Time': 'Europe/Saratov',
+  'Georgian Standard Time': 'Asia/Tbilisi',
+  'Caucasus Standard Time': 'Asia/Yerevan',
+  'Afghanistan Standard Time': 'Asia/Kabul',
+  'West Asia Standard Time': 'Asia/Tashkent',
+  'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'Qyzylorda Standard Time': 'Asia/Qyzylorda',
+  'India Standard Time': 'Asia/Kolkata',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Kathmandu',
+  'Central Asia Standard Time': 'Asia/Almaty',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Omsk Standard Time': 'Asia/Omsk',
+  'Myanmar Standard Time': 'Asia/Yangon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'Altai Standard Time': 'Asia/Barnaul',
+  'W. Mongolia Standard Time': 'Asia/Hovd',
+  'North Asia Standard Time': 'Asia/Krasnoyarsk',
+  'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+  'Tomsk Standard Time': 'Asia/Tomsk',
+  'China Standard Time': 'Asia/Shanghai',
+  'North Asia East Standard Time': 'Asia/Irkutsk',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'Ulaanbaatar Standard Time': 'Asia/Ulaanbaatar',
+  'Aus Central W. Standard Time': 'Australia/Eucla',
+  'Transbaikal Standard Time': 'Asia/Chita',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'North Korea Standard Time': 'Asia/Pyongyang',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Yakutsk Standard Time': 'Asia/Yakutsk',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'Vladivostok Standard Time': 'Asia/Vladivostok',
+  'Lord Howe Standard Time': 'Australia/Lord_Howe',
+  'Bougainville Standard Time': 'Pacific/Bougainville',
+  'Russia Time Zone 10': 'Asia/Srednekolymsk',
+  'Magadan Standard Time': 'Asia/Magadan',
+  'Norfolk Standard Time': 'Pacific/Norfolk',
+  'Sakhalin Standard Time': 'Asia/Sakhalin',
+  'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+  'Russia Time Zone 11': 'Asia/Kamchatka',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC+12': 'Etc/GMT-12',
+  'Fiji Standard Time': 'Pacific/Fiji',
+  'Chatham Islands Standard Time': 'Pacific/Chatham',
+  'UTC+13': 'Etc/GMT-13',
+  'Tonga Standard Time': 'Pacific/Tongatapu',
+  'Samoa Standard Time': 'Pacific/Apia',
+  'Line Islands Standard Time': 'Pacific/Kiritimati'
+};
+
+// The reverse direction also needs legacy IANA names (Node still reports some) and other common cities
+const IANA_TIMEZONES = {
+  ...Object.fromEntries(Object.entries(WINDOWS_TIMEZONES).map(([windows, iana]) => [iana, windows])),
+  'UTC': 'UTC',
+  'Etc/GMT': 'UTC',
+  'Asia/Calcutta': 'India Standard Time',
+  'Asia/Katmandu': 'Nepal Standard Time',
+  'Asia/Rangoon': 'Myanmar Standard Time',
+  'Asia/Saigon': 'SE Asia Standard Time',
+  'Europe/Kiev': 'FLE Standard Time',
+  'America/Godthab': 'Greenland Standard Time',
+  'America/Buenos_Aires': 'Argentina Standard Time',
+  'America/Indianapolis': 'US Eastern Standard Time',
+  'America/Toronto': 'Eastern Standard Time',
+  'America/Detroit': 'Eastern Standard Time',
+  'America/Winnipeg': 'Central Standard Time',
+  'America/Edmonton': 'Mountain Standard Time',
+  'America/Vancouver': 'Pacific Standard Time',
+  'Europe/Dublin': 'GMT Standard Time',
+  'Europe/Lisbon': 'GMT Standard Time',
+  'Europe/Amsterdam': 'W. Europe Standard Time',
+  'Europe/Rome': 'W. Europe Standard Time',
+  'Europe/Vienna': 'W. Europe Standard Time',
+  'Europe/Zurich': 'W. Europe Standard Time',
+  'Europe/Stockholm': 'W. Europe Standard Time',
+  'Europe/Oslo': 'W. Europe Standard Time',
+  'Europe/Madrid': 'Romance Standard Time',
+  'Europe/Brussels': 'Romance Standard Time',
+  'Europe/Copenhagen': 'Romance Standard Time',
+  'Europe/Prague': 'Central Europe Standard Time',
+  'Europe/Belgrade': 'Central Europe Standard Time',
+  'Europe/Zagreb': 'Central European Standard Time',
+  'Europe/Athens': 'GTB Standard Time',
+  'Europe/Helsinki': 'FLE Standard Time',
+  'Europe/Riga': 'FLE Standard Time',
+  'Europe/Tallinn': 'FLE Standard Time',
+  'Europe/Vilnius': 'FLE Standard Time',
+  'Europe/Sofia': 'FLE Standard Time',
+  'Asia/Hong_Kong': 'China Standard Time',
+  'Asia/Kuala_Lumpur': 'Singapore Standard Time',
+  'Asia/Manila': 'Singapore Standard Time',
+  'Asia/Jakarta': 'SE Asia Standard Time',
+  'Asia/Ho_Chi_Minh': 'SE Asia Standard Time',
+  'Asia/Qatar': 'Arab Standard Time',
+  'Asia/Kuwait': 'Arab Standard Time',
+  'Asia/Muscat': 'Arabian Standard Time',
+  'Australia/Melbourne': 'AUS Eastern Standard Time'
+};
+
+export function getSystemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function toIanaTimezone(name) {
+  const iana = WINDOWS_TIMEZONES[name] || name;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: iana });
+  } catch {
+    throw new Error(`Unknown timezone "${name}". Use an IANA name such as "Europe/London" or a Windows name such as "GMT Standard Time"`);
+  }
+  return iana;
+}
+
+export function toWindowsTimezone(iana) {
+  // Graph also accepts IANA names, so unmapped zones pass through unchanged
+  return IANA_TIMEZONES[iana] || iana;
+}
+
+export function getTimezoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+}
+
+export function zonedDateTimeToUtc(dateTime, timeZone) {
+  // Read the wall-clock time as if it were UTC, then shift by the zone's offset at that moment
+  const wallClock = new Date(`${dateTime.replace(/Z$/, '').split('.')[0]}Z`);
+  const firstGuess = new Date(wallClock.getTime() - getTimezoneOffsetMs(wallClock, timeZone));
+  // A second pass corrects the offset when the guess lands on the other side of a DST change
+  return new Date(wallClock.getTime() - getTimezoneOffsetMs(firstGuess, timeZone));
+}
+
+export function toUtcInstant(dateTime, timeZone) {
+  return zonedDateTimeToUtc(formatDateTimeForGraph(dateTime, timeZone).dateTime, timeZone);
+}
+
+export function utcToZonedDateTime(date, timeZone) {
+  return new Date(date.getTime() + getTimezoneOffsetMs(date, timeZone)).toISOString().slice(0, 19);
+}
+
+export function formatDateTimeForGraph(dateTime, timeZone) {
+  // timeZone is an IANA name; naive times are taken as wall-clock time in that zone
+  const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(:\d{2})?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/i.exec(dateTime.trim());
+  if (!match) {
+    throw new Error(`Invalid date/time "${dateTime}". Use ISO 8601, e.g. 2024-06-01T14:30:00 or 2024-06-01T14:30:00+02:00`);
+  }
+  
+  const [, date, hoursMinutes = '00:00', seconds = ':00', offset] = match;
+  
+  // Inputs with Z or an offset are absolute instants, shown as wall-clock time in the target zone
+  const wallClock = offset
+    ? utcToZonedDateTime(new Date(dateTime.trim()), timeZone)
+    : `${date}T${hoursMinutes}${seconds}`;
+  
+  return {
+    dateTime: wallClock,
+    timeZone: toWindowsTimezone(timeZone)
+  };
+}
+
+export function formatDateForGraph(date, timeZone) {
+  // All-day events run midnight to midnight in their zone, so only the calendar date matters
+  const day = date.trim().split('T')[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+  }
+  
+  return {
+    dateTime: `${day}T00:00:00`,
+    timeZone: toWindowsTimezone(timeZone)
+  };
+}
@@ -0,0 +1,301 @@
+// vCard helpers
+// Pure conversions between contact fields (the shape contactFieldsSchema accepts, plus displayName) and vCard 4.0 text
+
+// Graph allows at most three email addresses per contact
+export const MAX_CONTACT_EMAILS = 3;
+const VCARD_LINE_LIMIT = 75;
+const VCARD_ADDRESS_TYPES = { home: 'homeAddress', work: 'businessAddress' };
+const VCARD_IGNORED_PROPERTIES = ['VERSION', 'PRODID', 'UID', 'REV', 'KIND', 'SOURCE', 'CLIENTPIDMAP'];
+
+export function contactToFields(contact) {
+  return {
+    displayName: contact.displayName,
+    givenName: contact.givenName || undefined,
+    middleName: contact.middleName || undefined,
+    surname: contact.surname || undefined,
+    nickName: contact.nickName || undefined,
+    emailAddresses: contact.emailAddresses?.map(email => email.address).filter(Boolean),
+    businessPhones: contact.businessPhones,
+    homePhones: contact.homePhones,
+    mobilePhone: contact.mobilePhone || undefined,
+    homeAddress: contact.homeAddress,
+    businessAddress: contact.businessAddress,
+    otherAddress: contact.otherAddress,
+    birthday: contact.birthday?.split('T')[0],
+    personalNotes: contact.personalNotes || undefined,
+    categories: contact.categories,
+    companyName: contact.companyName || undefined,
+    department: contact.department || undefined,
+    jobTitle: contact.jobTitle || undefined
+  };
+}
+
+export function escapeVCardText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+export function unescapeVCardText(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+export function splitUnescaped(value, delimiter) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === delimiter) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+export function foldVCardLine(line) {
+  // Lines are limited to 75 octets; continuation lines start with a space, which counts towards the limit
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? VCARD_LINE_LIMIT : VCARD_LINE_LIMIT - 1;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+export function serializeVCard(fields) {
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+  const add = (name, value) => {
+    if (value) {
+      lines.push(`${name}:${value}`);
+    }
+  };
+  
+  const fallbackName = [fields.givenName, fields.surname].filter(Boolean).join(' ') || fields.emailAddresses?.[0] || '';
+  lines.push(`FN:${escapeVCardText(fields.displayName || fallbackName)}`);
+  lines.push(`N:${[fields.surname, fields.givenName, fields.middleName, '', ''].map(part => escapeVCardText(part || '')).join(';')}`);
+  add('NICKNAME', fields.nickName && escapeVCardText(fields.nickName));
+  
+  (fields.emailAddresses || []).forEach((address, index) => {
+    lines.push(`EMAIL${index === 0 ? ';PREF=1' : ''}:${escapeVCardText(address)}`);
+  });
+  (fields.businessPhones || []).forEach(number => lines.push(`TEL;VALUE=text;TYPE=work,voice:${escapeVCardText(number)}`));
+  (fields.homePhones || []).forEach(number => lines.push(`TEL;VALUE=text;TYPE=home,voice:${escapeVCardText(number)}`));
+  if (fields.mobilePhone) {
+    lines.push(`TEL;VALUE=text;TYPE=cell:${escapeVCardText(fields.mobilePhone)}`);
+  }
+  
+  for (const [property, type] of [['homeAddress', ';TYPE=home'], ['businessAddress', ';TYPE=work'], ['otherAddress', '']]) {
+    const address = fields[property];
+    if (address && Object.values(address).some(Boolean)) {
+      const components = ['', '', address.street, address.city, address.state, address.postalCode, address.countryOrRegion];
+      lines.push(`ADR${type}:${components.map(part => escapeVCardText(part || '')).join(';')}`);
+    }
+  }
+  
+  if (fields.companyName || fields.department) {
+    lines.push(`ORG:${[fields.companyName, fields.department].filter(part => part !== undefined).map(part => escapeVCardText(part || '')).join(';')}`);
+  }
+  add('TITLE', fields.jobTitle && escapeVCardText(fields.jobTitle));
+  add('BDAY', fields.birthday && fields.birthday.replace(/-/g, ''));
+  add('NOTE', fields.personalNotes && escapeVCardText(fields.personalNotes));
+  add('CATEGORIES', fields.categories?.length && fields.categories.map(escapeVCardText).join(','));
+  lines.push('END:VCARD');
+  
+  return `${lines.map(foldVCardLine).join('\r\n')}\r\n`;
+}
+
+function parseVCardLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  
+  const [nameWithGroup, ...paramParts] = line.slice(0, colon).split(';');
+  const params = { TYPE: [] };
+  for (const part of paramParts) {
+    const [key, rawValue] = part.split('=');
+    if (rawValue === undefined) {
+      // vCard 2.1 writes bare types: TEL;WORK;VOICE
+      params.TYPE.push(key.toLowerCase());
+      continue;
+    }
+    const values = rawValue.replace(/"/g, '').split(',').map(value => value.toLowerCase());
+    params[key.toUpperCase()] = [...(params[key.toUpperCase()] || []), ...values];
+  }
+  
+  return {
+    // Drop property groups ("item1.EMAIL")
+    name: nameWithGroup.split('.').pop().toUpperCase(),
+    params,
+    value: line.slice(colon + 1)
+  };
+}
+
+function applyVCardProperty(card, { name, params, value }) {
+  const { fields, warnings } = card;
+  const types = params.TYPE;
+  const text = () => unescapeVCardText(value);
+  const components = () => splitUnescaped(value, ';').map(unescapeVCardText);
+  
+  if (params.ENCODING) {
+    warnings.push(`Skipped ${name}: ${params.ENCODING.join(',')} encoding is not supported`);
+    return;
+  }
+  
+  switch (name) {
+    case 'FN':
+      card.displayName = text();
+      break;
+    case 'N': {
+      const [surname, givenName, middleName] = components();
+      if (surname) fields.surname = surname;
+      if (givenName) fields.givenName = givenName;
+      if (middleName) fields.middleName = middleName;
+      break;
+    }
+    case 'NICKNAME':
+      fields.nickName = splitUnescaped(value, ',').map(unescapeVCardText)[0];
+      break;
+    case 'EMAIL':
+      fields.emailAddresses = fields.emailAddresses || [];
+      if (fields.emailAddresses.length < MAX_CONTACT_EMAILS) {
+        fields.emailAddresses.push(text().trim());
+      } else {
+        warnings.push(`Dropped email ${text().trim()}: Outlook keeps at most ${MAX_CONTACT_EMAILS} addresses`);
+      }
+      break;
+    case 'TEL': {
+      const number = text().replace(/^tel:/i, '').trim();
+      if (types.includes('fax') || types.includes('pager')) {
+        warnings.push(`Dropped ${types.includes('fax') ? 'fax' : 'pager'} number ${number}: Outlook contacts have no field for it`);
+      } else if ((types.includes('cell') || types.includes('mobile')) && !fields.mobilePhone) {
+        fields.mobilePhone = number;
+      } else if (types.includes('home')) {
+        fields.homePhones = [...(fields.homePhones || []), number];
+      } else {
+        fields.businessPhones = [...(fields.businessPhones || []), number];
+      }
+      break;
+    }
+    case 'ADR': {
+      const [poBox, extended, street, city, state, postalCode, countryOrRegion] = components();
+      const property = VCARD_ADDRESS_TYPES[types.find(type => VCARD_ADDRESS_TYPES[type])] || 'otherAddress';
+      if (fields[property]) {
+        warnings.push(`Dropped an extra ${property}: Outlook keeps one address of each kind`);
+        break;
+      }
+      fields[property] = {
+        street: [poBox, extended, street].filter(Boolean).join('\n') || undefined,
+        city: city || undefined,
+        state: state || undefined,
+        postalCode: postalCode || undefined,
+        countryOrRegion: countryOrRegion || undefined
+      };
+      break;
+    }
+    case 'ORG': {
+      const [companyName, department] = components();
+      if (companyName) fields.companyName = companyName;
+      if (department) fields.department = department;
+      break;
+    }
+    case 'TITLE':
+      fields.jobTitle = text();
+      break;
+    case 'BDAY': {
+      const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+      if (match) {
+        fields.birthday = `${match[1]}-${match[2]}-${match[3]}`;
+      } else {
+        warnings.push(`Dropped birthday "${value}": Outlook needs a full date including the year`);
+      }
+      break;
+    }
+    case 'NOTE':
+      fields.personalNotes = fields.personalNotes ? `${fields.personalNotes}\n${text()}` : text();
+      break;
+    case 'CATEGORIES':
+      fields.categories = [...(fields.categories || []), ...splitUnescaped(value, ',').map(unescapeVCardText).filter(Boolean)];
+      break;
+    default:
+      if (!VCARD_IGNORED_PROPERTIES.includes(name)) {
+        warnings.push(`Ignored unsupported property ${name}`);
+      }
+  }
+}
+
+export function parseVCards(text) {
+  // Unfold first: a line break followed by a space or tab continues the previous line
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+  
+  for (const line of lines) {
+    const property = line.trim() && parseVCardLine(line);
+    if (!property) {
+      continue;
+    }
+    
+    if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VCARD') {
+      card = { displayName: null, fields: {}, warnings: [] };
+    } else if (property.name === 'END' && property.value.trim().toUpperCase() === 'VCARD' && card) {
+      const { givenName, surname, emailAddresses } = card.fields;
+      card.displayName = card.displayName || [givenName, surname].filter(Boolean).join(' ') || emailAddresses?.[0] || null;
+      cards.push(card);
+      card = null;
+    } else if (card) {
+      applyVCardProperty(card, property);
+    }
+  }
+  
+  return cards;
+}
+
+export function mergeContactFields(existing, incoming) {
+  // Existing values win; lists are combined and empty fields filled from the incoming card
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      merged[key] = [...new Set([...(existing[key] || []), ...value])];
+    } else if (typeof value === 'object') {
+      merged[key] = existing[key] && Object.values(existing[key]).some(Boolean) ? existing[key] : value;
+    } else if (!existing[key]) {
+      merged[key] = value;
+    }
+  }
+  if (merged.emailAddresses?.length > MAX_CONTACT_EMAILS) {
+    merged.emailAddresses = merged.emailAddresses.slice(0, MAX_CONTACT_EMAILS);
+  }
+  return merged;
+}